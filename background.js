@@ -2,10 +2,18 @@
  * Background class - handles parallax scrolling backgrounds
  */
 class Background {
-    constructor(canvasWidth, canvasHeight) {
+    /**
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {number|null} seed - Seed for scenery generation (random if null)
+     */
+    constructor(canvasWidth, canvasHeight, seed = null) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
+        // Seeded random numbers so scenery can be reproduced
+        this.rng = new SeededRandom(seed);
+        
         // Background layers for parallax effect
         this.layers = [];
         this.initializeLayers();
@@ -99,12 +107,12 @@ class Background {
         
         for (let i = 0; i < cloudCount; i++) {
             clouds.push({
-                x: random(0, this.canvasWidth * 2),
-                y: random(50, 200),
-                width: random(80, 150),
-                height: random(40, 80),
-                opacity: random(0.3, 0.8),
-                speed: random(0.5, 1.5)
+                x: this.rng.random(0, this.canvasWidth * 2),
+                y: this.rng.random(50, 200),
+                width: this.rng.random(80, 150),
+                height: this.rng.random(40, 80),
+                opacity: this.rng.random(0.3, 0.8),
+                speed: this.rng.random(0.5, 1.5)
             });
         }
         
@@ -121,10 +129,10 @@ class Background {
         
         for (let i = 0; i < mountainCount; i++) {
             mountains.push({
-                x: (i * this.canvasWidth / mountainCount) - random(0, 100),
-                y: this.canvasHeight * 0.4 + random(-50, 50),
-                width: random(200, 400),
-                height: random(150, 300),
+                x: (i * this.canvasWidth / mountainCount) - this.rng.random(0, 100),
+                y: this.canvasHeight * 0.4 + this.rng.random(-50, 50),
+                width: this.rng.random(200, 400),
+                height: this.rng.random(150, 300),
                 peaks: this.generateMountainPeaks()
             });
         }
@@ -138,12 +146,12 @@ class Background {
      */
     generateMountainPeaks() {
         const peaks = [];
-        const peakCount = randomInt(3, 7);
+        const peakCount = this.rng.randomInt(3, 7);
         
         for (let i = 0; i <= peakCount; i++) {
             peaks.push({
                 x: i / peakCount,
-                y: random(0.2, 0.8)
+                y: this.rng.random(0.2, 0.8)
             });
         }
         
@@ -160,12 +168,12 @@ class Background {
         
         for (let i = 0; i < treeCount; i++) {
             trees.push({
-                x: random(0, this.canvasWidth * 1.5),
-                y: this.canvasHeight * 0.7 + random(-20, 20),
-                width: random(20, 60),
-                height: random(80, 150),
-                type: randomInt(1, 3), // Different tree types
-                sway: random(0, Math.PI * 2) // For wind animation
+                x: this.rng.random(0, this.canvasWidth * 1.5),
+                y: this.canvasHeight * 0.7 + this.rng.random(-20, 20),
+                width: this.rng.random(20, 60),
+                height: this.rng.random(80, 150),
+                type: this.rng.randomInt(1, 3), // Different tree types
+                sway: this.rng.random(0, Math.PI * 2) // For wind animation
             });
         }
         
@@ -181,15 +189,15 @@ class Background {
         const elementCount = 25;
         
         for (let i = 0; i < elementCount; i++) {
-            const type = Math.random() < 0.7 ? 'grass' : 'rock';
+            const type = this.rng.next() < 0.7 ? 'grass' : 'rock';
             
             elements.push({
-                x: random(0, this.canvasWidth * 1.2),
-                y: this.canvasHeight * 0.85 + random(-10, 10),
-                width: type === 'grass' ? random(5, 15) : random(10, 30),
-                height: type === 'grass' ? random(10, 25) : random(8, 20),
+                x: this.rng.random(0, this.canvasWidth * 1.2),
+                y: this.canvasHeight * 0.85 + this.rng.random(-10, 10),
+                width: type === 'grass' ? this.rng.random(5, 15) : this.rng.random(10, 30),
+                height: type === 'grass' ? this.rng.random(10, 25) : this.rng.random(8, 20),
                 type: type,
-                variant: randomInt(1, 3)
+                variant: this.rng.randomInt(1, 3)
             });
         }
         
@@ -211,20 +219,20 @@ class Background {
      */
     createParticle() {
         const types = ['leaf', 'dust', 'pollen'];
-        const type = types[randomInt(0, types.length - 1)];
+        const type = types[this.rng.randomInt(0, types.length - 1)];
         
         return {
-            x: random(-50, this.canvasWidth + 50),
-            y: random(-50, this.canvasHeight),
-            velocityX: random(-0.5, 0.5),
-            velocityY: random(0.1, 0.8),
-            size: type === 'dust' ? random(1, 3) : random(3, 8),
-            rotation: random(0, Math.PI * 2),
-            rotationSpeed: random(-0.02, 0.02),
+            x: this.rng.random(-50, this.canvasWidth + 50),
+            y: this.rng.random(-50, this.canvasHeight),
+            velocityX: this.rng.random(-0.5, 0.5),
+            velocityY: this.rng.random(0.1, 0.8),
+            size: type === 'dust' ? this.rng.random(1, 3) : this.rng.random(3, 8),
+            rotation: this.rng.random(0, Math.PI * 2),
+            rotationSpeed: this.rng.random(-0.02, 0.02),
             type: type,
             color: this.getParticleColor(type),
-            opacity: random(0.3, 0.8),
-            life: random(5000, 15000),
+            opacity: this.rng.random(0.3, 0.8),
+            life: this.rng.random(5000, 15000),
             age: 0
         };
     }
@@ -237,7 +245,7 @@ class Background {
     getParticleColor(type) {
         switch (type) {
             case 'leaf':
-                return ['#228B22', '#32CD32', '#90EE90', '#ADFF2F'][randomInt(0, 3)];
+                return ['#228B22', '#32CD32', '#90EE90', '#ADFF2F'][this.rng.randomInt(0, 3)];
             case 'dust':
                 return '#DDD';
             case 'pollen':
@@ -313,7 +321,7 @@ class Background {
                 cloud.x += cloud.speed;
                 if (cloud.x > this.canvasWidth + cloud.width) {
                     cloud.x = -cloud.width;
-                    cloud.y = random(50, 200);
+                    cloud.y = this.rng.random(50, 200);
                 }
             });
         }
@@ -330,6 +338,15 @@ class Background {
         }
     }
 
+    /**
+     * Regenerate the scenery from a new seed
+     * @param {number} seed - Seed for scenery generation
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        this.reset();
+    }
+
     /**
      * Render the background with parallax scrolling
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -0,0 +1,466 @@
+/**
+ * Boss attack phases, entered as the boss's health drops below each threshold
+ * Attacks are used in order and repeat; restTime is the pause between attacks.
+ */
+const BOSS_PHASES = [
+    { threshold: 1, attacks: ['charge', 'jump'], restTime: 1200, color: '#aa3333' },
+    { threshold: 0.66, attacks: ['charge', 'volley', 'jump'], restTime: 900, color: '#cc5522' },
+    { threshold: 0.33, attacks: ['volley', 'charge', 'jump', 'volley'], restTime: 600, color: '#ee2266' }
+];
+
+/**
+ * Boss class - a multi-phase enemy that fights the player inside a locked arena
+ * Bosses stay dormant until the level locks the arena, and take hits without being stunned.
+ */
+class Boss extends Enemy {
+    /**
+     * @param {number} x - Starting x position
+     * @param {number} y - Starting y position
+     */
+    constructor(x, y) {
+        super(x, y, 'boss');
+
+        this.name = 'Stone Guardian';
+        this.width = 64;
+        this.height = 72;
+        this.health = 400;
+        this.maxHealth = 400;
+        this.damage = 25;
+        this.stompDamage = 30; // Damage taken when the player lands on the boss
+
+        // Arena, as offsets from the start position (see getArenaBounds)
+        this.arena = { left: -500, right: 250 };
+        this.isActive = false; // Dormant until the fight starts
+
+        // Phases and attacks
+        this.phase = 0;
+        this.attackIndex = 0; // Next attack in the current phase's cycle
+        this.attackState = 'rest'; // 'rest', 'windup', 'charge', 'jump', 'volley' or 'recover'
+        this.nextAttack = null;
+        this.stateTimer = 0;
+        this.windupTime = 500; // Milliseconds of telegraphing before each attack
+        this.recoverTime = 600; // Milliseconds the boss stands still after an attack
+
+        // Charge
+        this.chargeSpeed = 7;
+        this.chargeTime = 1500; // Milliseconds before an unfinished charge stops
+
+        // Jump
+        this.jumpPower = 16;
+        this.jumpAirTime = 670; // Approximate milliseconds in the air, used to aim the leap
+        this.shockwaveSpeed = 4;
+
+        // Projectile volley
+        this.volleyShots = 5;
+        this.volleySpread = 0.5; // Radians between the outermost shots
+        this.volleyInterval = 150; // Milliseconds between shots
+        this.volleyShotsFired = 0;
+        this.projectileSpeed = 5;
+        this.projectileDamage = 15;
+
+        this.currentAnimation = 'idle';
+    }
+
+    /**
+     * Update the boss fight, physics and animation
+     * @param {number} deltaTime - Time since last frame
+     * @param {Array} platforms - Array of platform objects for collision
+     * @param {Object} player - Player object to fight
+     */
+    update(deltaTime, platforms, player) {
+        this.previousX = this.x;
+        this.previousY = this.y;
+
+        if (!this.isAlive) {
+            this.updateDeath(deltaTime);
+            return;
+        }
+
+        if (this.hitFlashTimer > 0) {
+            this.hitFlashTimer -= deltaTime;
+        }
+
+        if (this.isActive && player && !player.isDead()) {
+            this.updateAttack(deltaTime, player);
+        } else {
+            this.velocityX = 0;
+        }
+
+        this.updatePhysics(deltaTime);
+        this.handlePlatformCollisions(platforms);
+        this.constrainToArena();
+        this.updateAnimation(deltaTime);
+    }
+
+    /**
+     * Advance the attack state machine
+     * @param {number} deltaTime - Time since last frame
+     * @param {Object} player - Player object to fight
+     */
+    updateAttack(deltaTime, player) {
+        this.stateTimer -= deltaTime;
+
+        switch (this.attackState) {
+            case 'rest':
+                this.velocityX = 0;
+                this.facePlayer(player);
+                if (this.stateTimer <= 0) {
+                    const attacks = BOSS_PHASES[this.phase].attacks;
+                    this.nextAttack = attacks[this.attackIndex % attacks.length];
+                    this.attackIndex++;
+                    this.setAttackState('windup', this.windupTime);
+                }
+                break;
+            case 'windup':
+                this.velocityX = 0;
+                this.facePlayer(player);
+                if (this.stateTimer <= 0) {
+                    this.startAttack(this.nextAttack, player);
+                }
+                break;
+            case 'charge':
+                this.velocityX = this.direction * this.chargeSpeed;
+                if (this.stateTimer <= 0 || this.isAtArenaEdge()) {
+                    this.setAttackState('recover', this.recoverTime);
+                }
+                break;
+            case 'jump':
+                // Land once falling back onto the ground
+                if (this.isGrounded && this.stateTimer <= this.jumpAirTime - 200) {
+                    this.land();
+                }
+                break;
+            case 'volley':
+                this.velocityX = 0;
+                if (this.stateTimer <= 0) {
+                    this.fireVolleyShot(player);
+                }
+                break;
+            case 'recover':
+                this.velocityX = 0;
+                if (this.stateTimer <= 0) {
+                    this.setAttackState('rest', BOSS_PHASES[this.phase].restTime);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Switch to an attack state
+     * @param {string} state - New attack state
+     * @param {number} duration - Milliseconds until the state times out
+     */
+    setAttackState(state, duration) {
+        this.attackState = state;
+        this.stateTimer = duration;
+        this.currentAnimation = state === 'charge' || state === 'jump' ? 'chase' : 'idle';
+    }
+
+    /**
+     * Launch an attack
+     * @param {string} attack - 'charge', 'jump' or 'volley'
+     * @param {Object} player - Player object to attack
+     */
+    startAttack(attack, player) {
+        switch (attack) {
+            case 'charge':
+                this.setAttackState('charge', this.chargeTime);
+                break;
+            case 'jump': {
+                // Leap so the boss comes down where the player is standing
+                const frames = this.jumpAirTime / FIXED_TIMESTEP;
+                const dx = player.getCenter().x - this.getCenter().x;
+                this.velocityX = clamp(dx / frames, -this.chargeSpeed, this.chargeSpeed);
+                this.velocityY = -this.jumpPower;
+                this.isGrounded = false;
+                this.setAttackState('jump', this.jumpAirTime);
+                break;
+            }
+            case 'volley':
+                this.volleyShotsFired = 0;
+                this.setAttackState('volley', 0);
+                break;
+        }
+
+        audioManager.play('jump', 0.4);
+    }
+
+    /**
+     * Hit the ground after a jump, sending shockwaves both ways
+     */
+    land() {
+        this.velocityX = 0;
+
+        for (const direction of [-1, 1]) {
+            this.pendingShots.push({
+                x: this.x + this.width / 2 + direction * this.width / 2,
+                y: this.y + this.height - 8,
+                velocityX: direction * this.shockwaveSpeed,
+                lifetime: 1500,
+                owner: 'enemy',
+                damage: this.projectileDamage,
+                size: 14,
+                color: '#ffaa44'
+            });
+        }
+
+        audioManager.play('hit', 0.6);
+        this.setAttackState('recover', this.recoverTime);
+    }
+
+    /**
+     * Fire the next shot of a volley, fanned out around the player's direction
+     * @param {Object} player - Player object to aim at
+     */
+    fireVolleyShot(player) {
+        const origin = this.getCenter();
+        const target = player.getCenter();
+        const baseAngle = Math.atan2(target.y - origin.y, target.x - origin.x);
+        const spreadStep = this.volleyShots > 1 ? this.volleySpread / (this.volleyShots - 1) : 0;
+        const angle = baseAngle - this.volleySpread / 2 + spreadStep * this.volleyShotsFired;
+
+        this.pendingShots.push({
+            x: origin.x,
+            y: origin.y - 12,
+            velocityX: Math.cos(angle) * this.projectileSpeed,
+            velocityY: Math.sin(angle) * this.projectileSpeed,
+            lifetime: 3000,
+            owner: 'enemy',
+            damage: this.projectileDamage,
+            size: 12,
+            color: BOSS_PHASES[this.phase].color
+        });
+
+        this.volleyShotsFired++;
+        this.stateTimer = this.volleyInterval;
+
+        if (this.volleyShotsFired >= this.volleyShots) {
+            this.setAttackState('recover', this.recoverTime);
+        }
+    }
+
+    /**
+     * Bosses only turn to face the player, never at walls or ledges
+     */
+    changeDirection() {}
+
+    /**
+     * Get the arena in world coordinates
+     * @returns {Object} Object with left, right
+     */
+    getArenaBounds() {
+        return {
+            left: this.startX + this.arena.left,
+            right: this.startX + this.arena.right
+        };
+    }
+
+    /**
+     * Check if the fight has been won
+     * @returns {boolean} True once the boss is dead
+     */
+    isDefeated() {
+        return !this.isAlive;
+    }
+
+    /**
+     * Check if the boss has reached the arena wall it's moving toward
+     * @returns {boolean} True if at the edge
+     */
+    isAtArenaEdge() {
+        const arena = this.getArenaBounds();
+        return this.direction < 0 ? this.x <= arena.left : this.x + this.width >= arena.right;
+    }
+
+    /**
+     * Keep the boss inside its arena
+     */
+    constrainToArena() {
+        const arena = this.getArenaBounds();
+        this.x = clamp(this.x, arena.left, arena.right - this.width);
+    }
+
+    /**
+     * Wake the boss up and start the fight
+     */
+    activate() {
+        if (this.isActive) return;
+
+        this.isActive = true;
+        this.setAttackState('rest', BOSS_PHASES[this.phase].restTime);
+    }
+
+    /**
+     * Enter the phase matching the current health
+     */
+    updatePhase() {
+        const healthRatio = this.health / this.maxHealth;
+        let phase = 0;
+
+        BOSS_PHASES.forEach((definition, index) => {
+            if (healthRatio <= definition.threshold) {
+                phase = index;
+            }
+        });
+
+        if (phase > this.phase) {
+            this.phase = phase;
+            this.attackIndex = 0;
+        }
+    }
+
+    /**
+     * Take damage from an attack (bosses flash but aren't knocked back or stunned)
+     * @param {number} damage - Amount of damage to take
+     * @returns {boolean} True if the boss died from this damage
+     */
+    takeHit(damage) {
+        if (!this.isAlive || !this.isActive) return false;
+
+        this.hitFlashTimer = this.hitFlashTime;
+
+        if (this.takeDamage(damage)) {
+            return true;
+        }
+
+        this.updatePhase();
+        audioManager.play('hit', 0.4);
+
+        return false;
+    }
+
+    /**
+     * Check collision with player; stomps hurt the boss instead of killing it outright
+     * @param {Object} player - Player object
+     * @returns {boolean} True if collision occurred and damage was applied
+     */
+    checkPlayerCollision(player) {
+        if (!this.isAlive || !this.isActive || !player || player.isDead()) return false;
+        if (!checkCollision(this, player)) return false;
+
+        if (player.y + player.height <= this.y + 16 && player.velocityY > 0) {
+            // Player landed on the boss
+            this.takeHit(this.stompDamage);
+            player.velocityY = -12;
+            return false;
+        }
+
+        if (player.hasPowerUp('invincibility')) {
+            return false;
+        }
+
+        const direction = player.x + player.width / 2 < this.x + this.width / 2 ? -1 : 1;
+        return player.takeDamage(this.damage, direction);
+    }
+
+    /**
+     * Draw the boss sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenY - Screen Y position
+     */
+    drawSimpleSprite(ctx, screenY) {
+        if (!this.isAlive) {
+            ctx.globalAlpha = 1 - (this.deathTimer / this.deathDuration);
+        }
+
+        const color = this.isActive ? BOSS_PHASES[this.phase].color : '#666666';
+
+        // Telegraph the next attack with a pulsing glow
+        if (this.attackState === 'windup') {
+            ctx.shadowColor = '#ffff00';
+            ctx.shadowBlur = 10 + Math.sin(this.stateTimer / 40) * 8;
+        }
+
+        // Body (flashes white when hit)
+        ctx.fillStyle = this.hitFlashTimer > 0 ? '#ffffff' : color;
+        ctx.fillRect(4, screenY + 12, 56, 52);
+        ctx.shadowBlur = 0;
+
+        // Horns
+        ctx.fillStyle = '#dddddd';
+        ctx.beginPath();
+        ctx.moveTo(8, screenY + 12);
+        ctx.lineTo(2, screenY);
+        ctx.lineTo(18, screenY + 12);
+        ctx.moveTo(46, screenY + 12);
+        ctx.lineTo(62, screenY);
+        ctx.lineTo(56, screenY + 12);
+        ctx.fill();
+
+        // Eyes (dark while dormant)
+        ctx.fillStyle = this.isActive ? '#ffff00' : '#333333';
+        ctx.fillRect(36, screenY + 24, 8, 6);
+        ctx.fillRect(50, screenY + 24, 8, 6);
+
+        // Mouth, open while attacking
+        ctx.fillStyle = '#000000';
+        const attacking = this.attackState !== 'rest' && this.attackState !== 'recover';
+        ctx.fillRect(38, screenY + 42, 18, attacking ? 10 : 4);
+
+        // Armor plates and feet
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(4, screenY + 12, 56, 6);
+        ctx.fillRect(8, screenY + 64, 18, 8);
+        ctx.fillRect(38, screenY + 64, 18, 8);
+
+        ctx.globalAlpha = 1.0;
+    }
+
+    /**
+     * Bosses show their health in the HUD instead of above their head
+     */
+    drawHealthBar() {}
+
+    /**
+     * Serialize the boss to level data
+     * @returns {Object} Boss data
+     */
+    toJSON() {
+        return {
+            x: this.startX,
+            y: this.startY,
+            type: 'boss',
+            health: this.maxHealth,
+            damage: this.damage,
+            arena: { ...this.arena }
+        };
+    }
+
+    /**
+     * Create a boss from level data
+     * @param {Object} data - Boss data
+     * @returns {Boss} New boss
+     */
+    static fromJSON(data) {
+        const boss = new Boss(data.x, data.y);
+
+        if (data.health !== undefined) {
+            boss.health = data.health;
+            boss.maxHealth = data.health;
+        }
+        if (data.damage !== undefined) {
+            boss.damage = data.damage;
+        }
+        if (data.arena) {
+            boss.arena = { ...data.arena };
+        }
+
+        return boss;
+    }
+
+    /**
+     * Reset the boss to its dormant state
+     */
+    reset() {
+        super.reset();
+
+        this.isActive = false;
+        this.phase = 0;
+        this.attackIndex = 0;
+        this.attackState = 'rest';
+        this.nextAttack = null;
+        this.stateTimer = 0;
+        this.volleyShotsFired = 0;
+        this.currentAnimation = 'idle';
+    }
+}
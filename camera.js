@@ -7,6 +7,11 @@ class Camera {
         this.x = 0;
         this.y = 0;
         
+        // Position at the previous simulation step (for interpolated rendering)
+        this.previousX = 0;
+        this.previousY = 0;
+        this.simulatedPosition = { x: 0, y: 0 };
+        
         // Canvas dimensions
         this.width = canvasWidth;
         this.height = canvasHeight;
@@ -82,6 +87,9 @@ class Camera {
      * @param {number} deltaTime - Time since last frame
      */
     update(deltaTime) {
+        this.previousX = this.x;
+        this.previousY = this.y;
+        
         if (this.target) {
             this.updateTargetFollowing(deltaTime);
         }
@@ -100,10 +108,11 @@ class Camera {
         // Calculate target position
         const targetX = this.target.x + (this.target.width || 0) / 2 + this.targetOffset.x;
         const targetY = this.target.y + (this.target.height || 0) / 2 + this.targetOffset.y;
+        const view = this.getViewSize();
         
         // Calculate desired camera position (centered on target)
-        let desiredX = targetX - this.width / 2;
-        let desiredY = targetY - this.height / 2;
+        let desiredX = targetX - view.width / 2;
+        let desiredY = targetY - view.height / 2;
         
         // Add lookahead based on target movement
         if (this.target.velocityX !== undefined) {
@@ -112,8 +121,8 @@ class Camera {
         }
         
         // Apply deadzone
-        const currentCenterX = this.x + this.width / 2;
-        const currentCenterY = this.y + this.height / 2;
+        const currentCenterX = this.x + view.width / 2;
+        const currentCenterY = this.y + view.height / 2;
         
         const deltaX = targetX - currentCenterX;
         const deltaY = targetY - currentCenterY;
@@ -207,9 +216,10 @@ class Camera {
         let finalX = this.x + this.shake.offset.x;
         let finalY = this.y + this.shake.offset.y;
         
-        // Constrain to bounds
-        finalX = clamp(finalX, this.bounds.left, this.bounds.right - this.width);
-        finalY = clamp(finalY, this.bounds.top, this.bounds.bottom - this.height);
+        // Constrain to bounds (a zoomed-out view covers more of the world)
+        const view = this.getViewSize();
+        finalX = clamp(finalX, this.bounds.left, this.bounds.right - view.width);
+        finalY = clamp(finalY, this.bounds.top, this.bounds.bottom - view.height);
         
         // Store final position
         this.x = finalX - this.shake.offset.x;
@@ -254,6 +264,17 @@ class Camera {
         }
     }
 
+    /**
+     * Get the size of the visible area in world units at the current zoom
+     * @returns {Object} Object with width, height
+     */
+    getViewSize() {
+        return {
+            width: this.width / this.zoom,
+            height: this.height / this.zoom
+        };
+    }
+
     /**
      * Zoom in
      * @param {number} factor - Zoom factor
@@ -285,6 +306,8 @@ class Camera {
     setPosition(x, y) {
         this.x = x;
         this.y = y;
+        this.previousX = x;
+        this.previousY = y;
         this.velocity.x = 0;
         this.velocity.y = 0;
     }
@@ -410,11 +433,27 @@ class Camera {
             ctx.scale(this.zoom, this.zoom);
         }
         
-        // Apply camera offset and shake
-        ctx.translate(
-            -this.x - this.shake.offset.x,
-            -this.y - this.shake.offset.y
-        );
+        // Apply shake (objects already render relative to the camera position)
+        ctx.translate(-this.shake.offset.x, -this.shake.offset.y);
+    }
+
+    /**
+     * Move the camera to its interpolated position for rendering
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
+     */
+    beginRender(interpolation) {
+        this.simulatedPosition.x = this.x;
+        this.simulatedPosition.y = this.y;
+        this.x = lerp(this.previousX, this.x, interpolation);
+        this.y = lerp(this.previousY, this.y, interpolation);
+    }
+
+    /**
+     * Restore the simulated camera position after rendering
+     */
+    endRender() {
+        this.x = this.simulatedPosition.x;
+        this.y = this.simulatedPosition.y;
     }
 
     /**
@@ -253,8 +253,8 @@ class Checkpoint {
         const screenY = this.y - camera.y;
 
         // Don't render if off-screen
-        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
-            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
             return;
         }
 
@@ -455,6 +455,26 @@ class Checkpoint {
         return this.activated;
     }
 
+    /**
+     * Serialize checkpoint to level data
+     * @returns {Object} Checkpoint data
+     */
+    toJSON() {
+        return {
+            x: this.x,
+            y: this.y
+        };
+    }
+
+    /**
+     * Create a checkpoint from level data
+     * @param {Object} data - Checkpoint data
+     * @returns {Checkpoint} New checkpoint
+     */
+    static fromJSON(data) {
+        return new Checkpoint(data.x, data.y);
+    }
+
     /**
      * Reset checkpoint to initial state
      */
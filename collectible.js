@@ -6,6 +6,7 @@ class Collectible {
         // Position and dimensions
         this.x = x;
         this.y = y;
+        this.originalX = x;
         this.originalY = y;
         this.width = 24;
         this.height = 24;
@@ -20,7 +21,7 @@ class Collectible {
         this.animationSpeed = 0.15;
         this.animationTimer = 0;
         this.bobOffset = 0;
-        this.bobSpeed = 0.05;
+        this.bobSpeed = 0.05; // Per 60 Hz frame, like the other animation speeds
         this.bobHeight = 8;
         
         // Visual effects
@@ -67,7 +68,40 @@ class Collectible {
                 glowColor: '#ffdd88',
                 frames: 8,
                 value: 100,
-                sound: 'collect'
+                sound: 'collect',
+                powerUp: 'invincibility'
+            },
+            speedBoost: {
+                color: POWER_UP_TYPES.speedBoost.color,
+                glowColor: '#aaffcc',
+                frames: 4,
+                value: 20,
+                sound: 'collect',
+                powerUp: 'speedBoost'
+            },
+            highJump: {
+                color: POWER_UP_TYPES.highJump.color,
+                glowColor: '#aaccff',
+                frames: 4,
+                value: 20,
+                sound: 'collect',
+                powerUp: 'highJump'
+            },
+            magnet: {
+                color: POWER_UP_TYPES.magnet.color,
+                glowColor: '#ffaadd',
+                frames: 4,
+                value: 20,
+                sound: 'collect',
+                powerUp: 'magnet'
+            },
+            scoreMultiplier: {
+                color: POWER_UP_TYPES.scoreMultiplier.color,
+                glowColor: '#ffdd88',
+                frames: 4,
+                value: 20,
+                sound: 'collect',
+                powerUp: 'scoreMultiplier'
             }
         };
         
@@ -136,7 +170,7 @@ class Collectible {
      * @param {number} deltaTime - Time since last frame
      */
     updateBobbing(deltaTime) {
-        this.bobOffset += this.bobSpeed;
+        this.bobOffset += this.bobSpeed * frameScale(deltaTime);
         this.y = this.originalY + Math.sin(this.bobOffset) * this.bobHeight;
     }
 
@@ -145,7 +179,7 @@ class Collectible {
      * @param {number} deltaTime - Time since last frame
      */
     updateRotation(deltaTime) {
-        this.rotation += this.rotationSpeed;
+        this.rotation += this.rotationSpeed * frameScale(deltaTime);
         if (this.rotation >= Math.PI * 2) {
             this.rotation = 0;
         }
@@ -156,7 +190,7 @@ class Collectible {
      * @param {number} deltaTime - Time since last frame
      */
     updateGlow(deltaTime) {
-        this.glowIntensity += this.glowDirection * this.glowSpeed;
+        this.glowIntensity += this.glowDirection * this.glowSpeed * frameScale(deltaTime);
         
         if (this.glowIntensity >= 1) {
             this.glowIntensity = 1;
@@ -179,8 +213,9 @@ class Collectible {
             collectibleCenter.x, collectibleCenter.y,
             playerCenter.x, playerCenter.y
         );
+        const range = this.magneticRange * (player.magnetStrength || 1); // Wider with the magnet power-up
 
-        if (dist <= this.magneticRange) {
+        if (dist <= range) {
             this.isBeingAttracted = true;
             
             // Calculate direction to player
@@ -194,8 +229,8 @@ class Collectible {
                 const normalizedDy = dy / magnitude;
                 
                 // Increase attraction speed as player gets closer
-                const attractionMultiplier = (this.magneticRange - dist) / this.magneticRange;
-                const speed = this.magneticSpeed * attractionMultiplier * 2;
+                const attractionMultiplier = (range - dist) / range;
+                const speed = this.magneticSpeed * attractionMultiplier * 2 * frameScale(deltaTime);
                 
                 this.x += normalizedDx * speed;
                 this.y += normalizedDy * speed;
@@ -223,7 +258,7 @@ class Collectible {
         this.collectionAnimation.alpha = 1 - progress;
         
         // Float upward
-        this.y -= 2;
+        this.y -= 2 * frameScale(deltaTime);
     }
 
     /**
@@ -263,23 +298,22 @@ class Collectible {
         return {
             type: this.type,
             value: this.value,
-            effect: this.getCollectionEffect()
+            effect: this.getCollectionEffect(),
+            powerUp: typeData ? typeData.powerUp || null : null
         };
     }
 
     /**
      * Get the effect of collecting this item
-     * @returns {string} Effect type ('score', 'health', 'special')
+     * @returns {string} Effect type ('score', 'health', 'powerUp')
      */
     getCollectionEffect() {
-        switch (this.type) {
-            case 'health':
-                return 'health';
-            case 'star':
-                return 'special';
-            default:
-                return 'score';
+        const typeData = this.types[this.type];
+        if (typeData && typeData.powerUp) {
+            return 'powerUp';
         }
+        
+        return this.type === 'health' ? 'health' : 'score';
     }
 
     /**
@@ -297,8 +331,8 @@ class Collectible {
         const screenY = this.y - camera.y;
 
         // Don't render if off-screen
-        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
-            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
             return;
         }
 
@@ -373,7 +407,11 @@ class Collectible {
                 this.drawStar(ctx);
                 break;
             default:
-                this.drawCoin(ctx);
+                if (typeData.powerUp) {
+                    this.drawPowerUp(ctx, POWER_UP_TYPES[typeData.powerUp]);
+                } else {
+                    this.drawCoin(ctx);
+                }
         }
     }
 
@@ -484,6 +522,35 @@ class Collectible {
         ctx.fill();
     }
 
+    /**
+     * Draw power-up orb sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} powerUp - Power-up definition from POWER_UP_TYPES
+     */
+    drawPowerUp(ctx, powerUp) {
+        // Orb
+        ctx.beginPath();
+        ctx.arc(this.width / 2, this.height / 2, this.width / 2 - 2, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Highlight
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        ctx.arc(this.width / 2 - 4, this.height / 2 - 4, 4, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Icon (counter-rotated so it stays upright)
+        ctx.save();
+        ctx.translate(this.width / 2, this.height / 2);
+        ctx.rotate(-this.rotation);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(powerUp.icon, 0, 0);
+        ctx.restore();
+    }
+
     /**
      * Draw magnetic attraction effect
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -535,12 +602,42 @@ class Collectible {
         return this.collected && !this.collectionAnimation.active;
     }
 
+    /**
+     * Serialize collectible to level data
+     * @returns {Object} Collectible data
+     */
+    toJSON() {
+        return {
+            x: this.originalX,
+            y: this.originalY,
+            type: this.type,
+            value: this.value
+        };
+    }
+
+    /**
+     * Create a collectible from level data
+     * @param {Object} data - Collectible data
+     * @returns {Collectible} New collectible
+     */
+    static fromJSON(data) {
+        const collectible = new Collectible(data.x, data.y, data.type);
+        
+        // Type defaults override the constructor value, so apply it afterwards
+        if (data.value !== undefined) {
+            collectible.value = data.value;
+        }
+        
+        return collectible;
+    }
+
     /**
      * Reset collectible to initial state
      */
     reset() {
         this.collected = false;
         this.collectionAnimation.active = false;
+        this.x = this.originalX;
         this.y = this.originalY;
         this.bobOffset = 0;
         this.rotation = 0;
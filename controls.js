@@ -0,0 +1,254 @@
+/**
+ * Controls Menu - lists key bindings and lets the player rebind them
+ */
+class ControlsMenu {
+    constructor(game) {
+        this.game = game;
+
+        // Key capture state
+        this.capture = null; // { action, mode: 'replace' | 'add' } while waiting for a key
+        this.pendingConflict = null; // Key that needs a second press to be taken from another action
+
+        // Readable names for keys that don't speak for themselves
+        this.keyNames = {
+            'ArrowLeft': '←',
+            'ArrowRight': '→',
+            'ArrowUp': '↑',
+            'ArrowDown': '↓',
+            'Space': 'Space',
+            'Escape': 'Esc',
+            'Enter': 'Enter',
+            'ShiftLeft': 'Left Shift',
+            'ShiftRight': 'Right Shift',
+            'ControlLeft': 'Left Ctrl',
+            'ControlRight': 'Right Ctrl',
+            'AltLeft': 'Left Alt',
+            'AltRight': 'Right Alt'
+        };
+
+        // UI elements
+        this.ui = {
+            screen: document.getElementById('controlsScreen'),
+            list: document.getElementById('controlsList'),
+            message: document.getElementById('controlsMessage')
+        };
+
+        // Captures keys before the game and input manager see them
+        this.handleKeyDown = (e) => this.captureKey(e);
+
+        this.setupScreen();
+    }
+
+    /**
+     * Wire up the controls screen buttons
+     */
+    setupScreen() {
+        const buttons = {
+            controlsResetBtn: () => this.resetToDefaults(),
+            controlsBackBtn: () => this.close()
+        };
+
+        for (const [id, action] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        }
+    }
+
+    /**
+     * Get the input manager whose bindings are edited
+     * @returns {InputManager} Keyboard input manager
+     */
+    getInputManager() {
+        return this.game.liveInputManager || this.game.inputManager;
+    }
+
+    /**
+     * Show the controls screen
+     */
+    open() {
+        this.game.hideAllScreens();
+        this.cancelCapture();
+        this.setMessage('');
+        this.renderList();
+        this.ui.screen.classList.remove('hidden');
+    }
+
+    /**
+     * Leave the controls screen
+     */
+    close() {
+        this.cancelCapture();
+        this.ui.screen.classList.add('hidden');
+        this.game.showMainMenu();
+    }
+
+    /**
+     * Build the list of actions and their keys
+     */
+    renderList() {
+        const list = this.ui.list;
+        list.innerHTML = '';
+
+        for (const { action, label } of this.getInputManager().bindableActions) {
+            const row = document.createElement('div');
+            row.className = 'controls-row';
+
+            const name = document.createElement('span');
+            name.className = 'controls-action';
+            name.textContent = label;
+            row.appendChild(name);
+
+            const keys = document.createElement('span');
+            keys.className = 'controls-keys';
+            const capturing = this.capture && this.capture.action === action;
+            keys.textContent = capturing ? 'Press a key...' : this.describeKeys(action);
+            row.appendChild(keys);
+
+            const buttons = {
+                Rebind: () => this.startCapture(action, 'replace'),
+                Add: () => this.startCapture(action, 'add'),
+                Clear: () => this.clearAction(action)
+            };
+            for (const [text, onClick] of Object.entries(buttons)) {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.addEventListener('click', onClick);
+                row.appendChild(button);
+            }
+
+            list.appendChild(row);
+        }
+    }
+
+    /**
+     * Describe the keys bound to an action
+     * @param {string} action - Action name
+     * @returns {string} Key names separated by slashes
+     */
+    describeKeys(action) {
+        const keys = this.getInputManager().getKeysForAction(action);
+        return keys.length > 0 ? keys.map(key => this.formatKey(key)).join(' / ') : 'Unbound';
+    }
+
+    /**
+     * Get a readable name for a key code
+     * @param {string} code - Key code (KeyboardEvent.code)
+     * @returns {string} Key name
+     */
+    formatKey(code) {
+        if (this.keyNames[code]) return this.keyNames[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+        return code;
+    }
+
+    /**
+     * Get the label of an action
+     * @param {string} action - Action name
+     * @returns {string} Action label
+     */
+    getActionLabel(action) {
+        const entry = this.getInputManager().bindableActions.find(item => item.action === action);
+        return entry ? entry.label : action;
+    }
+
+    /**
+     * Start waiting for a key to bind
+     * @param {string} action - Action to bind
+     * @param {string} mode - 'replace' to swap out the current keys, 'add' to add another key
+     */
+    startCapture(action, mode) {
+        this.cancelCapture();
+        this.capture = { action, mode };
+        window.addEventListener('keydown', this.handleKeyDown, true);
+
+        this.setMessage(`Press a key for ${this.getActionLabel(action)}`);
+        this.renderList();
+    }
+
+    /**
+     * Stop waiting for a key
+     */
+    cancelCapture() {
+        if (this.capture) {
+            window.removeEventListener('keydown', this.handleKeyDown, true);
+        }
+        this.capture = null;
+        this.pendingConflict = null;
+    }
+
+    /**
+     * Handle a key press while capturing
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    captureKey(event) {
+        // Keep the key away from the game and the input manager
+        event.preventDefault();
+        event.stopPropagation();
+
+        const inputManager = this.getInputManager();
+        const { action, mode } = this.capture;
+        const code = event.code;
+        const boundAction = inputManager.getAction(code);
+
+        // Keys used by other actions need a second press to confirm the swap
+        if (boundAction && boundAction !== action && this.pendingConflict !== code) {
+            this.pendingConflict = code;
+            const otherKeys = inputManager.getKeysForAction(boundAction);
+            const warning = otherKeys.length === 1 ? ` and leave ${this.getActionLabel(boundAction)} unbound` : '';
+            this.setMessage(
+                `${this.formatKey(code)} is used for ${this.getActionLabel(boundAction)}. ` +
+                `Press it again to reassign it${warning}, or press another key.`
+            );
+            return;
+        }
+
+        if (mode === 'replace') {
+            inputManager.clearActionBindings(action);
+        }
+        inputManager.setKeyBinding(code, action);
+        inputManager.saveKeyBindings();
+
+        this.cancelCapture();
+        this.setMessage(`${this.getActionLabel(action)} bound to ${this.formatKey(code)}`);
+        this.renderList();
+    }
+
+    /**
+     * Remove every key from an action
+     * @param {string} action - Action name
+     */
+    clearAction(action) {
+        const inputManager = this.getInputManager();
+        this.cancelCapture();
+        inputManager.clearActionBindings(action);
+        inputManager.saveKeyBindings();
+
+        this.setMessage(`${this.getActionLabel(action)} is now unbound`);
+        this.renderList();
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    resetToDefaults() {
+        this.cancelCapture();
+        this.getInputManager().resetKeyBindings();
+
+        this.setMessage('Controls reset to defaults');
+        this.renderList();
+    }
+
+    /**
+     * Show a status message below the list
+     * @param {string} text - Message text
+     */
+    setMessage(text) {
+        if (this.ui.message) {
+            this.ui.message.textContent = text;
+        }
+    }
+}
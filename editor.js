@@ -0,0 +1,713 @@
+/**
+ * Level Editor - places, moves and resizes level objects with the mouse
+ */
+class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.canvas = game.canvas;
+        this.camera = game.camera;
+
+        // Level being edited
+        this.level = null;
+        this.active = false;
+
+        // Palette tools ('category:type')
+        this.tools = [
+            { id: 'select', label: 'Select' },
+            { id: 'platform:static', label: 'Static' },
+            { id: 'platform:moving', label: 'Moving' },
+            { id: 'platform:crumbling', label: 'Crumbling' },
+            { id: 'platform:bouncy', label: 'Bouncy' },
+            { id: 'platform:oneWay', label: 'One-Way' },
+            { id: 'enemy:patrol', label: 'Patrol' },
+            { id: 'enemy:chase', label: 'Chaser' },
+            { id: 'enemy:shooter', label: 'Shooter' },
+            { id: 'enemy:flying', label: 'Flyer' },
+            { id: 'enemy:boss', label: 'Boss' },
+            { id: 'collectible:coin', label: 'Coin' },
+            { id: 'collectible:gem', label: 'Gem' },
+            { id: 'collectible:health', label: 'Health' },
+            { id: 'collectible:star', label: 'Star' },
+            { id: 'collectible:speedBoost', label: 'Speed Boost' },
+            { id: 'collectible:highJump', label: 'High Jump' },
+            { id: 'collectible:magnet', label: 'Magnet' },
+            { id: 'collectible:scoreMultiplier', label: 'Score x2' },
+            { id: 'checkpoint', label: 'Checkpoint' },
+            { id: 'spawner', label: 'Spawner' },
+            { id: 'spawn', label: 'Spawn' },
+            { id: 'goal', label: 'Goal' },
+            { id: 'erase', label: 'Erase' }
+        ];
+        this.currentTool = 'select';
+
+        // Selection and dragging
+        this.selected = null;
+        this.dragMode = null; // 'move', 'resize', 'pan'
+        this.dragOffset = { x: 0, y: 0 };
+        this.lastPanPosition = { x: 0, y: 0 };
+
+        // Editor settings
+        this.gridSize = 10;
+        this.panSpeed = 10;
+        this.handleSize = 10;
+        this.minPlatformSize = 20;
+
+        // Cursor position
+        this.mouseScreen = { x: 0, y: 0 };
+        this.mouseWorld = { x: 0, y: 0 };
+
+        // Held pan keys
+        this.panKeys = {
+            left: false,
+            right: false,
+            up: false,
+            down: false
+        };
+
+        // UI elements
+        this.ui = {
+            panel: document.getElementById('editorPanel'),
+            palette: document.getElementById('editorPalette'),
+            importInput: document.getElementById('editorImportInput')
+        };
+
+        // Bound event handlers so they can be removed again
+        this.handlers = {
+            mousedown: (e) => this.handleMouseDown(e),
+            mousemove: (e) => this.handleMouseMove(e),
+            mouseup: (e) => this.handleMouseUp(e),
+            wheel: (e) => this.handleWheel(e),
+            keydown: (e) => this.handleKeyDown(e),
+            keyup: (e) => this.handleKeyUp(e)
+        };
+
+        this.setupPanel();
+    }
+
+    /**
+     * Build the tool palette and wire up panel buttons
+     */
+    setupPanel() {
+        if (this.ui.palette) {
+            for (const tool of this.tools) {
+                const button = document.createElement('button');
+                button.textContent = tool.label;
+                button.dataset.tool = tool.id;
+                button.addEventListener('click', () => this.setTool(tool.id));
+                this.ui.palette.appendChild(button);
+            }
+        }
+
+        const buttons = {
+            editorPlayBtn: () => this.playtest(this.level.playerStartX, this.level.playerStartY),
+            editorExportBtn: () => this.exportLevel(),
+            editorImportBtn: () => this.ui.importInput && this.ui.importInput.click(),
+            editorExitBtn: () => this.game.closeEditor()
+        };
+
+        for (const [id, action] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        }
+
+        if (this.ui.importInput) {
+            this.ui.importInput.addEventListener('change', () => this.importLevel());
+        }
+
+        this.updatePaletteSelection();
+    }
+
+    /**
+     * Start editing a level
+     * @param {Level} level - Level to edit
+     */
+    open(level) {
+        this.level = level;
+        this.active = true;
+        this.selected = null;
+        this.dragMode = null;
+
+        // Free camera for panning
+        this.camera.setTarget(null);
+        this.camera.setWorldBounds(level.width, level.height);
+
+        this.canvas.addEventListener('mousedown', this.handlers.mousedown);
+        this.canvas.addEventListener('wheel', this.handlers.wheel, { passive: false });
+        window.addEventListener('mousemove', this.handlers.mousemove);
+        window.addEventListener('mouseup', this.handlers.mouseup);
+        window.addEventListener('keydown', this.handlers.keydown);
+        window.addEventListener('keyup', this.handlers.keyup);
+
+        if (this.ui.panel) {
+            this.ui.panel.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Stop editing and release input
+     */
+    close() {
+        this.active = false;
+        this.dragMode = null;
+
+        this.canvas.removeEventListener('mousedown', this.handlers.mousedown);
+        this.canvas.removeEventListener('wheel', this.handlers.wheel);
+        window.removeEventListener('mousemove', this.handlers.mousemove);
+        window.removeEventListener('mouseup', this.handlers.mouseup);
+        window.removeEventListener('keydown', this.handlers.keydown);
+        window.removeEventListener('keyup', this.handlers.keyup);
+
+        if (this.ui.panel) {
+            this.ui.panel.classList.add('hidden');
+        }
+
+        this.camera.resetZoom();
+    }
+
+    /**
+     * Select the active palette tool
+     * @param {string} toolId - Tool identifier
+     */
+    setTool(toolId) {
+        this.currentTool = toolId;
+        this.updatePaletteSelection();
+    }
+
+    /**
+     * Highlight the active tool in the palette
+     */
+    updatePaletteSelection() {
+        if (!this.ui.palette) return;
+
+        this.ui.palette.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === this.currentTool);
+        });
+    }
+
+    /**
+     * Update editor camera panning
+     * @param {number} deltaTime - Time since last frame
+     */
+    update(deltaTime) {
+        const panX = (this.panKeys.right ? 1 : 0) - (this.panKeys.left ? 1 : 0);
+        const panY = (this.panKeys.down ? 1 : 0) - (this.panKeys.up ? 1 : 0);
+
+        if (panX !== 0 || panY !== 0) {
+            this.camera.move(panX * this.panSpeed / this.camera.zoom, panY * this.panSpeed / this.camera.zoom);
+        }
+
+        this.updateMouseWorld();
+    }
+
+    /**
+     * Convert a mouse event to canvas pixel coordinates
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} Canvas coordinates
+     */
+    getCanvasPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Recalculate the world position under the cursor
+     */
+    updateMouseWorld() {
+        this.mouseWorld = this.camera.screenToWorld(this.mouseScreen.x, this.mouseScreen.y);
+    }
+
+    /**
+     * Snap a value to the editor grid
+     * @param {number} value - Value to snap
+     * @returns {number} Snapped value
+     */
+    snap(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+
+    /**
+     * Handle mouse button down on the canvas
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        this.mouseScreen = this.getCanvasPosition(event);
+        this.updateMouseWorld();
+
+        // Right or middle button pans the view
+        if (event.button !== 0) {
+            this.dragMode = 'pan';
+            this.lastPanPosition = { ...this.mouseScreen };
+            return;
+        }
+
+        const worldX = this.mouseWorld.x;
+        const worldY = this.mouseWorld.y;
+        const [category, type] = this.currentTool.split(':');
+
+        switch (category) {
+            case 'select':
+                this.beginSelection(worldX, worldY);
+                break;
+            case 'erase':
+                this.removeObject(this.findObjectAt(worldX, worldY));
+                break;
+            case 'spawn':
+                this.level.playerStartX = this.snap(worldX);
+                this.level.playerStartY = this.snap(worldY);
+                break;
+            case 'goal':
+                this.level.goalX = this.snap(worldX);
+                this.level.goalY = this.snap(worldY);
+                break;
+            default:
+                this.placeObject(category, type, this.snap(worldX), this.snap(worldY));
+        }
+    }
+
+    /**
+     * Handle mouse movement
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+        const position = this.getCanvasPosition(event);
+
+        if (this.dragMode === 'pan') {
+            this.camera.move(
+                (this.lastPanPosition.x - position.x) / this.camera.zoom,
+                (this.lastPanPosition.y - position.y) / this.camera.zoom
+            );
+            this.lastPanPosition = position;
+        }
+
+        this.mouseScreen = position;
+        this.updateMouseWorld();
+
+        if (!this.selected) return;
+
+        if (this.dragMode === 'move') {
+            this.moveObject(
+                this.selected,
+                this.snap(this.mouseWorld.x - this.dragOffset.x),
+                this.snap(this.mouseWorld.y - this.dragOffset.y)
+            );
+        } else if (this.dragMode === 'resize') {
+            this.selected.width = Math.max(this.minPlatformSize, this.snap(this.mouseWorld.x - this.selected.x));
+            this.selected.height = Math.max(this.minPlatformSize, this.snap(this.mouseWorld.y - this.selected.y));
+        }
+    }
+
+    /**
+     * Handle mouse button release
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseUp(event) {
+        if (this.dragMode === 'move' || this.dragMode === 'resize') {
+            this.fitLevelToObjects();
+        }
+        this.dragMode = null;
+    }
+
+    /**
+     * Handle mouse wheel zooming
+     * @param {WheelEvent} event - Wheel event
+     */
+    handleWheel(event) {
+        event.preventDefault();
+
+        if (event.deltaY < 0) {
+            this.camera.zoomIn();
+        } else {
+            this.camera.zoomOut();
+        }
+    }
+
+    /**
+     * Handle editor keyboard shortcuts
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        switch (event.code) {
+            case 'ArrowLeft':
+            case 'KeyA':
+                this.panKeys.left = true;
+                break;
+            case 'ArrowRight':
+            case 'KeyD':
+                this.panKeys.right = true;
+                break;
+            case 'ArrowUp':
+            case 'KeyW':
+                this.panKeys.up = true;
+                break;
+            case 'ArrowDown':
+            case 'KeyS':
+                this.panKeys.down = true;
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.removeObject(this.selected);
+                break;
+            case 'KeyP':
+                // Play-test from the cursor position
+                this.playtest(this.snap(this.mouseWorld.x), this.snap(this.mouseWorld.y));
+                break;
+            case 'Escape':
+                this.selected = null;
+                break;
+        }
+    }
+
+    /**
+     * Handle key release
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyUp(event) {
+        switch (event.code) {
+            case 'ArrowLeft':
+            case 'KeyA':
+                this.panKeys.left = false;
+                break;
+            case 'ArrowRight':
+            case 'KeyD':
+                this.panKeys.right = false;
+                break;
+            case 'ArrowUp':
+            case 'KeyW':
+                this.panKeys.up = false;
+                break;
+            case 'ArrowDown':
+            case 'KeyS':
+                this.panKeys.down = false;
+                break;
+        }
+    }
+
+    /**
+     * Select the object under the cursor and start dragging or resizing it
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldY - World Y coordinate
+     */
+    beginSelection(worldX, worldY) {
+        this.selected = this.findObjectAt(worldX, worldY);
+        if (!this.selected) return;
+
+        if (this.isOnResizeHandle(this.selected, worldX, worldY)) {
+            this.dragMode = 'resize';
+        } else {
+            this.dragMode = 'move';
+            this.dragOffset.x = worldX - this.selected.x;
+            this.dragOffset.y = worldY - this.selected.y;
+        }
+    }
+
+    /**
+     * Check if a point is on a platform's resize handle
+     * @param {Object} object - Selected object
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldY - World Y coordinate
+     * @returns {boolean} True if point is on the handle
+     */
+    isOnResizeHandle(object, worldX, worldY) {
+        if (!(object instanceof Platform)) return false;
+
+        const handle = this.handleSize / this.camera.zoom;
+        return worldX >= object.x + object.width - handle &&
+               worldY >= object.y + object.height - handle;
+    }
+
+    /**
+     * Find the topmost level object at a world position
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldY - World Y coordinate
+     * @returns {Object|null} Object at position
+     */
+    findObjectAt(worldX, worldY) {
+        const layers = [
+            this.level.spawners,
+            this.level.checkpoints,
+            this.level.collectibles,
+            this.level.enemies,
+            this.level.platforms
+        ];
+
+        for (const objects of layers) {
+            for (let i = objects.length - 1; i >= 0; i--) {
+                if (pointInRect(worldX, worldY, objects[i])) {
+                    return objects[i];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the level array an object belongs to
+     * @param {Object} object - Level object
+     * @returns {Array|null} Containing array
+     */
+    getCollectionFor(object) {
+        if (object instanceof Platform) return this.level.platforms;
+        if (object instanceof Enemy) return this.level.enemies;
+        if (object instanceof Collectible) return this.level.collectibles;
+        if (object instanceof Checkpoint) return this.level.checkpoints;
+        if (object instanceof Spawner) return this.level.spawners;
+        return null;
+    }
+
+    /**
+     * Create a new object from the palette
+     * @param {string} category - Object category
+     * @param {string} type - Object type
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     */
+    placeObject(category, type, x, y) {
+        let object = null;
+
+        switch (category) {
+            case 'platform':
+                object = new Platform(x, y, 120, 40, type);
+                break;
+            case 'enemy':
+                object = type === 'boss' ? new Boss(x, y) : new Enemy(x, y, type);
+                break;
+            case 'collectible':
+                object = new Collectible(x, y, type);
+                break;
+            case 'checkpoint':
+                object = new Checkpoint(x, y);
+                break;
+            case 'spawner':
+                object = new Spawner(x, y);
+                break;
+        }
+
+        if (!object) return;
+
+        this.getCollectionFor(object).push(object);
+        this.selected = object;
+        this.fitLevelToObjects();
+    }
+
+    /**
+     * Move an object and its spawn/origin position
+     * @param {Object} object - Level object
+     * @param {number} x - New world X position
+     * @param {number} y - New world Y position
+     */
+    moveObject(object, x, y) {
+        object.x = x;
+        object.y = y;
+
+        // Platforms and collectibles animate around their original position
+        if (object.originalX !== undefined) {
+            object.originalX = x;
+            object.originalY = y;
+        }
+
+        // Enemies respawn at their start position
+        if (object.startX !== undefined) {
+            object.startX = x;
+            object.startY = y;
+        }
+    }
+
+    /**
+     * Remove an object from the level
+     * @param {Object} object - Level object to remove
+     */
+    removeObject(object) {
+        if (!object) return;
+
+        const collection = this.getCollectionFor(object);
+        const index = collection ? collection.indexOf(object) : -1;
+        if (index !== -1) {
+            collection.splice(index, 1);
+        }
+
+        if (this.selected === object) {
+            this.selected = null;
+        }
+    }
+
+    /**
+     * Grow the level width so every object fits inside it
+     */
+    fitLevelToObjects() {
+        let right = Math.max(this.level.goalX + 100, this.level.playerStartX + 100);
+
+        for (const platform of this.level.platforms) {
+            right = Math.max(right, platform.x + platform.width);
+        }
+
+        if (right > this.level.width) {
+            this.level.width = Math.ceil(right / 100) * 100;
+            this.camera.setWorldBounds(this.level.width, this.level.height);
+        }
+    }
+
+    /**
+     * Play-test the edited level
+     * @param {number} x - Player start X position
+     * @param {number} y - Player start Y position
+     */
+    playtest(x, y) {
+        this.game.startPlaytest(this.level.toJSON(), x, y);
+    }
+
+    /**
+     * Download the edited level as a JSON level file
+     */
+    exportLevel() {
+        const json = JSON.stringify(this.level, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `level-${this.level.levelNumber}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a level file chosen in the import input
+     */
+    async importLevel() {
+        const file = this.ui.importInput.files[0];
+        if (!file) return;
+
+        try {
+            const level = Level.fromJSON(await file.text(), this.canvas.width, this.canvas.height);
+            this.open(level);
+        } catch (error) {
+            this.game.showError(`Could not import level: ${error.message}`);
+        }
+
+        this.ui.importInput.value = '';
+    }
+
+    /**
+     * Render the edited level and editor overlays in world space
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    renderWorld(ctx) {
+        this.renderGrid(ctx);
+        this.level.render(ctx, this.camera);
+        this.renderSpawn(ctx);
+        this.renderSelection(ctx);
+    }
+
+    /**
+     * Render the placement grid
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    renderGrid(ctx) {
+        const spacing = this.gridSize * 5;
+        const viewWidth = this.canvas.width / this.camera.zoom;
+        const viewHeight = this.canvas.height / this.camera.zoom;
+        const offsetX = -(this.camera.x % spacing);
+        const offsetY = -(this.camera.y % spacing);
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (let x = offsetX; x < viewWidth; x += spacing) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, viewHeight);
+        }
+        for (let y = offsetY; y < viewHeight; y += spacing) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(viewWidth, y);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Render the player spawn marker
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    renderSpawn(ctx) {
+        const screenX = this.level.playerStartX - this.camera.x;
+        const screenY = this.level.playerStartY - this.camera.y;
+
+        ctx.save();
+        ctx.strokeStyle = '#44ff44';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(screenX, screenY, this.game.player.width, this.game.player.height);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#44ff44';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('SPAWN', screenX + this.game.player.width / 2, screenY - 6);
+        ctx.restore();
+    }
+
+    /**
+     * Render the selection outline and resize handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    renderSelection(ctx) {
+        if (!this.selected) return;
+
+        const screenX = this.selected.x - this.camera.x;
+        const screenY = this.selected.y - this.camera.y;
+        const handle = this.handleSize / this.camera.zoom;
+
+        ctx.save();
+        ctx.strokeStyle = '#ffdd00';
+        ctx.lineWidth = 2 / this.camera.zoom;
+        ctx.strokeRect(screenX, screenY, this.selected.width, this.selected.height);
+
+        if (this.selected instanceof Platform) {
+            ctx.fillStyle = '#ffdd00';
+            ctx.fillRect(
+                screenX + this.selected.width - handle,
+                screenY + this.selected.height - handle,
+                handle,
+                handle
+            );
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Render screen-space editor information
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    renderOverlay(ctx) {
+        const tool = this.tools.find(t => t.id === this.currentTool);
+        const lines = [
+            `Tool: ${tool ? tool.label : this.currentTool}`,
+            `Cursor: ${Math.round(this.mouseWorld.x)}, ${Math.round(this.mouseWorld.y)}`,
+            `Zoom: ${Math.round(this.camera.zoom * 100)}%`,
+            'Right-drag/arrows: pan  Wheel: zoom  P: play from cursor  Del: delete'
+        ];
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(10, this.canvas.height - 20 - lines.length * 16, 460, lines.length * 16 + 10);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'left';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, 18, this.canvas.height - 4 - (lines.length - index) * 16);
+        });
+        ctx.restore();
+    }
+}
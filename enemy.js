@@ -6,14 +6,17 @@ class Enemy {
         // Position and dimensions
         this.x = x;
         this.y = y;
+        this.previousX = x; // Position at the previous simulation step
+        this.previousY = y;
         this.width = 28;
         this.height = 32;
         
-        // Physics properties
+        // Physics properties (per 60 Hz frame, scaled by elapsed time)
         this.velocityX = 0;
         this.velocityY = 0;
         this.gravity = 0.8;
         this.maxFallSpeed = 15;
+        this.bounciness = 0.18; // Fraction of a bouncy platform's force the enemy is launched with (too heavy to keep bouncing)
         
         // AI properties
         this.type = type;
@@ -21,10 +24,29 @@ class Enemy {
         this.direction = 1; // 1 for right, -1 for left
         this.patrolDistance = 100;
         this.startX = x;
+        this.startY = y;
         this.detectionRange = 150;
+        this.visionAngle = toRadians(60); // Half-angle of the vision cone around the facing direction
+        this.awarenessRadius = 40; // Players this close are noticed from any direction
+        this.noticeTime = 600; // Milliseconds the alert marker shows after spotting the player
+        this.noticeTimer = 0;
         this.chaseSpeed = 2.5;
         this.isChasing = false;
-        this.lastPlayerPosition = null;
+        this.lastPlayerPosition = null; // Where the player was last seen, checked when searching
+        this.idleTime = 1000; // Milliseconds to pause at the end of a patrol route
+        this.alertTime = 400; // Milliseconds to hesitate after spotting the player
+        this.searchTime = 2000; // Milliseconds to look for a player that got away
+        this.sightMemory = 1000; // Milliseconds a chase keeps going after losing sight of the player
+        this.unseenTime = 0; // Milliseconds since the player was last visible
+        this.fleeHealth = 0.4; // Health fraction at which fleeing behaviors run
+        this.fleeDistance = 90; // Distance at which shooters back away from the player
+        
+        // Navigation (chasing the player across platforms, see NavigationGraph)
+        this.jumpPower = 13;
+        this.navPath = null; // Edges left to follow to the player's platform
+        this.navGoal = null; // Platform the path leads to
+        this.navVersion = -1; // Graph version the path was planned on
+        this.navEdge = null; // Edge being jumped or dropped along while airborne
         
         // Health and damage
         this.health = 50;
@@ -32,6 +54,46 @@ class Enemy {
         this.damage = 20;
         this.isAlive = true;
         
+        // Hit reaction
+        this.hitStunTime = 300; // Milliseconds without AI control after being hit
+        this.hitStunTimer = 0;
+        this.hitFlashTime = 100; // Milliseconds the body flashes white after a hit
+        this.hitFlashTimer = 0;
+        this.knockbackFriction = 0.9; // Per 60 Hz frame while stunned
+        
+        // Ranged attack (shooter enemies)
+        this.isAiming = false;
+        this.shootCooldown = 1500; // Milliseconds between shots
+        this.shootTimer = 0;
+        this.projectileSpeed = 5;
+        this.projectileDamage = 15;
+        this.pendingShots = []; // Projectile settings waiting to be launched by the level
+        
+        // Shooters patrol slowly and watch a wider area
+        if (this.type === 'shooter') {
+            this.speed = 1;
+            this.detectionRange = 300;
+        }
+        
+        // Flight (flying enemies ignore gravity and follow a path)
+        this.isFlying = this.type === 'flying';
+        this.path = this.isFlying ? { type: 'sine', amplitude: 40, period: 2000 } : null;
+        this.flightTime = 0; // Milliseconds spent flying, drives the sine path
+        this.waypointIndex = 0;
+        this.isSwooping = false;
+        this.swoopTarget = null;
+        this.swoopSpeed = 5;
+        this.swoopTime = 900; // Milliseconds before an unfinished swoop gives up
+        this.swoopTimer = 0;
+        this.swoopCooldown = 1500; // Milliseconds between swoops
+        this.swoopCooldownTimer = 0;
+        
+        // Flyers watch the ground below them as well as ahead
+        if (this.isFlying) {
+            this.detectionRange = 200;
+            this.visionAngle = toRadians(110);
+        }
+        
         // Animation properties
         this.animationFrame = 0;
         this.animationSpeed = 0.2;
@@ -43,11 +105,14 @@ class Enemy {
             walk: { frames: 4, row: 0 },
             chase: { frames: 4, row: 1 },
             idle: { frames: 2, row: 2 },
-            death: { frames: 3, row: 3 }
+            death: { frames: 3, row: 3 },
+            aim: { frames: 2, row: 4 },
+            fly: { frames: 4, row: 5 }
         };
         
         // State management
         this.isGrounded = false;
+        this.groundPlatform = null; // Platform stood on, which carries the enemy as it moves
         this.canTurnAround = true;
         this.turnCooldown = 0;
         this.maxTurnCooldown = 500; // milliseconds
@@ -56,6 +121,9 @@ class Enemy {
         this.deathTimer = 0;
         this.deathDuration = 1000; // 1 second death animation
         this.shouldRemove = false;
+        
+        // AI state machine, declared per enemy type (see ENEMY_BEHAVIORS)
+        this.ai = new StateMachine(this, ENEMY_BEHAVIORS[this.type] || ENEMY_BEHAVIORS.patrol);
     }
 
     /**
@@ -63,14 +131,30 @@ class Enemy {
      * @param {number} deltaTime - Time since last frame
      * @param {Array} platforms - Array of platform objects for collision
      * @param {Object} player - Player object for AI decisions
+     * @param {NavigationGraph} navigation - Platform graph for chasing across platforms
      */
-    update(deltaTime, platforms, player) {
+    update(deltaTime, platforms, player, navigation = null) {
+        this.previousX = this.x;
+        this.previousY = this.y;
+        
         if (!this.isAlive) {
             this.updateDeath(deltaTime);
             return;
         }
 
-        this.updateAI(player);
+        if (this.shootTimer > 0) {
+            this.shootTimer -= deltaTime;
+        }
+
+        if (this.noticeTimer > 0) {
+            this.noticeTimer -= deltaTime;
+        }
+
+        if (this.isFlying) {
+            this.updateFlightTimers(deltaTime);
+        }
+
+        this.updateAI(deltaTime, platforms, player, navigation);
         this.updatePhysics(deltaTime);
         this.handlePlatformCollisions(platforms);
         this.updateAnimation(deltaTime);
@@ -78,40 +162,217 @@ class Enemy {
     }
 
     /**
-     * Update enemy AI behavior
-     * @param {Object} player - Player object
+     * Slide from knockback while stunned
+     * @param {number} deltaTime - Time since last frame
      */
-    updateAI(player) {
-        if (!player || player.isDead()) {
-            this.isChasing = false;
-            this.patrol();
-            return;
+    updateHitStun(deltaTime) {
+        this.hitStunTimer -= deltaTime;
+        this.hitFlashTimer -= deltaTime;
+        this.velocityX *= Math.pow(this.knockbackFriction, frameScale(deltaTime));
+        
+        // Nothing else slows a flyer's vertical knockback
+        if (this.isFlying) {
+            this.velocityY *= Math.pow(this.knockbackFriction, frameScale(deltaTime));
         }
+    }
 
-        const distanceToPlayer = distance(
-            this.x + this.width / 2, 
+    /**
+     * Run the AI state machine
+     * @param {number} deltaTime - Time since last frame
+     * @param {Array} platforms - Array of platform objects
+     * @param {Object} player - Player object
+     * @param {NavigationGraph} navigation - Platform graph for chasing across platforms
+     */
+    updateAI(deltaTime, platforms, player, navigation) {
+        const hasPlayer = player && !player.isDead();
+        const distanceToPlayer = hasPlayer ? distance(
+            this.x + this.width / 2,
             this.y + this.height / 2,
-            player.x + player.width / 2, 
+            player.x + player.width / 2,
             player.y + player.height / 2
-        );
+        ) : Infinity;
+
+        // Players can be followed a little beyond detection range, as long as nothing blocks the view
+        const playerVisible = distanceToPlayer <= this.detectionRange * 1.5 &&
+            this.hasLineOfSight(player, platforms);
+        const playerSpotted = playerVisible && distanceToPlayer <= this.detectionRange &&
+            (distanceToPlayer <= this.awarenessRadius || this.isFacing(player));
+        this.unseenTime = playerVisible ? 0 : this.unseenTime + deltaTime;
+
+        const wasAware = this.isAware();
+        this.ai.update(deltaTime, {
+            deltaTime,
+            platforms,
+            navigation,
+            player: hasPlayer ? player : null,
+            distanceToPlayer,
+            playerVisible,
+            playerSpotted
+        });
+
+        if (!wasAware && this.isAware()) {
+            this.noticeTimer = this.noticeTime;
+        }
+    }
+
+    /**
+     * Check if nothing solid stands between the enemy and the player
+     * @param {Object} player - Player object
+     * @param {Array} platforms - Array of platform objects
+     * @returns {boolean} True if the enemy has a clear view of the player
+     */
+    hasLineOfSight(player, platforms) {
+        const eye = this.getCenter();
+        const center = player.getCenter();
+
+        // Seeing the player's head is enough, e.g. over the edge of the platform they stand on
+        return [{ x: center.x, y: player.y }, center].some(target => !platforms.some(platform =>
+            platform.providesCollision() &&
+            segmentIntersectsRect(eye.x, eye.y, target.x, target.y, platform)
+        ));
+    }
+
+    /**
+     * Check if the player is inside the vision cone
+     * @param {Object} player - Player object
+     * @returns {boolean} True if the enemy is looking toward the player
+     */
+    isFacing(player) {
+        const eye = this.getCenter();
+        const target = player.getCenter();
+        const angle = Math.atan2(Math.abs(target.y - eye.y), (target.x - eye.x) * this.direction);
+
+        return angle <= this.visionAngle;
+    }
+
+    /**
+     * Check if the enemy knows where the player is (its current state is marked aware)
+     * @returns {boolean} True if in an aware state
+     */
+    isAware() {
+        return this.ai.stateName !== null && Boolean(this.ai.getState(this.ai.stateName).aware);
+    }
+
+    /**
+     * Count down flight and swoop timers
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateFlightTimers(deltaTime) {
+        this.flightTime += deltaTime;
+        
+        if (this.swoopTimer > 0) {
+            this.swoopTimer -= deltaTime;
+        }
+        if (this.swoopCooldownTimer > 0) {
+            this.swoopCooldownTimer -= deltaTime;
+        }
+    }
+
+    /**
+     * Dive toward where the player is now
+     * @param {Object} player - Player object to swoop at
+     */
+    startSwoop(player) {
+        this.isSwooping = true;
+        this.isChasing = true;
+        this.swoopTarget = player.getCenter();
+        this.swoopTimer = this.swoopTime;
+    }
+
+    /**
+     * Fly straight at the swoop target
+     */
+    swoop() {
+        this.currentAnimation = 'chase';
+        const center = this.getCenter();
+        const dx = this.swoopTarget.x - center.x;
+        const dy = this.swoopTarget.y - center.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.velocityX = (dx / length) * this.swoopSpeed;
+        this.velocityY = (dy / length) * this.swoopSpeed;
+        this.direction = dx < 0 ? -1 : 1;
+    }
+
+    /**
+     * Check if a swoop has reached the point it was aimed at
+     * @returns {boolean} True if at the swoop target
+     */
+    hasReachedSwoopTarget() {
+        if (!this.swoopTarget) return true;
+
+        const center = this.getCenter();
+        return distance(center.x, center.y, this.swoopTarget.x, this.swoopTarget.y) <= this.swoopSpeed;
+    }
+
+    /**
+     * Stop swooping; the flight path pulls the enemy back into place
+     */
+    endSwoop() {
+        this.isSwooping = false;
+        this.isChasing = false;
+        this.swoopTarget = null;
+        this.swoopCooldownTimer = this.swoopCooldown;
+    }
+
+    /**
+     * Follow the flight path authored in the level data
+     * Sine paths patrol horizontally while bobbing around the start height;
+     * waypoint paths loop through points given as offsets from the start position.
+     */
+    followPath() {
+        if (this.path && this.path.type === 'waypoints' && this.path.points && this.path.points.length > 0) {
+            const point = this.path.points[this.waypointIndex];
+            const dx = this.startX + point.x - this.x;
+            const dy = this.startY + point.y - this.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+
+            if (length <= this.speed) {
+                this.waypointIndex = (this.waypointIndex + 1) % this.path.points.length;
+                this.velocityX = dx;
+                this.velocityY = dy;
+            } else {
+                this.velocityX = (dx / length) * this.speed;
+                this.velocityY = (dy / length) * this.speed;
+            }
+
+            if (Math.abs(dx) > 0.5) {
+                this.direction = dx < 0 ? -1 : 1;
+            }
+        } else {
+            const amplitude = this.path ? this.path.amplitude : 0;
+            const period = this.path ? this.path.period : 2000;
+            const targetY = this.startY + amplitude * Math.sin((this.flightTime / period) * Math.PI * 2);
 
-        // Check if player is in detection range
-        if (distanceToPlayer <= this.detectionRange) {
-            this.isChasing = true;
-            this.lastPlayerPosition = {
-                x: player.x + player.width / 2,
-                y: player.y + player.height / 2
-            };
-            this.chase(player);
-        } else if (this.isChasing && distanceToPlayer > this.detectionRange * 1.5) {
-            // Stop chasing if player gets too far away
-            this.isChasing = false;
-            this.lastPlayerPosition = null;
-        }
-
-        if (!this.isChasing) {
             this.patrol();
+            this.velocityY = clamp(targetY - this.y, -this.chaseSpeed, this.chaseSpeed);
         }
+
+        this.currentAnimation = 'fly';
+    }
+
+    /**
+     * Fire a projectile at the player
+     * @param {Object} player - Player object to aim at
+     */
+    shoot(player) {
+        const origin = this.getCenter();
+        const target = player.getCenter();
+        const dx = target.x - origin.x;
+        const dy = target.y - origin.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.pendingShots.push({
+            x: origin.x + this.direction * this.width / 2,
+            y: origin.y,
+            velocityX: (dx / length) * this.projectileSpeed,
+            velocityY: (dy / length) * this.projectileSpeed,
+            lifetime: 3000,
+            owner: 'enemy',
+            damage: this.projectileDamage
+        });
+        this.shootTimer = this.shootCooldown;
+        audioManager.play('jump', 0.2);
     }
 
     /**
@@ -136,9 +397,19 @@ class Enemy {
     /**
      * Handle chase behavior
      * @param {Object} player - Player object to chase
+     * @param {NavigationGraph} navigation - Platform graph, to follow the player onto other platforms
      */
-    chase(player) {
+    chase(player, navigation = null) {
         this.currentAnimation = 'chase';
+
+        // The grounded flag flickers on flat ground, so ask the graph what's underfoot
+        const ground = navigation ? navigation.findStandingPlatform(this) : null;
+        const edge = navigation ? this.getNavigationEdge(player, navigation, ground) : null;
+        if (edge) {
+            this.followEdge(edge, ground !== null);
+            return;
+        }
+
         const playerCenter = player.x + player.width / 2;
         const enemyCenter = this.x + this.width / 2;
 
@@ -149,6 +420,135 @@ class Enemy {
         }
 
         this.velocityX = this.direction * this.chaseSpeed;
+
+        // Without a route to the player, wait at the ledge instead of running off it
+        if (ground && !this.hasGroundAhead(navigation.nodes)) {
+            this.velocityX = 0;
+        }
+    }
+
+    /**
+     * Get the next step of the route to the player's platform, re-planning when needed
+     * @param {Object} player - Player object to chase
+     * @param {NavigationGraph} navigation - Platform graph
+     * @param {Platform|null} start - Platform the enemy is standing on (null if airborne)
+     * @returns {Object|null} Edge to follow, or null when on the player's platform or there's no route
+     */
+    getNavigationEdge(player, navigation, start) {
+        // Enemies are committed to the edge they started along until they leave its platform
+        // (a jump that fell short back onto it is planned again)
+        if (this.navEdge && start && (this.navEdge.from !== start || this.navEdge.type === 'jump')) {
+            this.navEdge = null;
+        }
+        if (!start || this.navEdge) {
+            return this.navEdge;
+        }
+
+        const goal = navigation.findPlatformUnder(player);
+        if (!goal || start === goal) {
+            this.navPath = null;
+            return null;
+        }
+
+        const stale = !this.navPath || this.navGoal !== goal || this.navVersion !== navigation.version ||
+            (this.navPath.length > 0 && this.navPath[0].from !== start);
+        if (stale) {
+            this.navPath = navigation.findPath(start, goal);
+            this.navGoal = goal;
+            this.navVersion = navigation.version;
+        }
+
+        return this.navPath && this.navPath.length > 0 ? this.navPath[0] : null;
+    }
+
+    /**
+     * Move along a navigation edge: walk to the take-off point, then walk, drop or jump across
+     * @param {Object} edge - Navigation edge (see NavigationGraph.createEdge)
+     * @param {boolean} standing - Whether the enemy is on the ground
+     */
+    followEdge(edge, standing) {
+        const centerX = this.x + this.width / 2;
+
+        if (standing && this.navEdge !== edge) {
+            const toTakeoff = edge.takeoffX - centerX;
+            if (Math.abs(toTakeoff) > this.chaseSpeed) {
+                this.direction = toTakeoff < 0 ? -1 : 1;
+                this.velocityX = this.direction * this.chaseSpeed;
+                return;
+            }
+
+            this.navEdge = edge;
+            if (edge.type === 'jump') {
+                this.velocityY = -this.jumpPower;
+                this.isGrounded = false;
+            }
+        }
+
+        // Steer for the landing spot
+        const toLanding = edge.landingX - centerX;
+        this.direction = edge.direction;
+        this.velocityX = clamp(toLanding, -this.chaseSpeed, this.chaseSpeed);
+    }
+
+    /**
+     * Forget the planned route to the player
+     */
+    clearNavigation() {
+        this.navPath = null;
+        this.navGoal = null;
+        this.navVersion = -1;
+        this.navEdge = null;
+    }
+
+    /**
+     * Walk to where the player was last seen, then look around
+     * @param {Array} platforms - Array of platform objects
+     */
+    search(platforms) {
+        const center = this.getCenter();
+        const target = this.lastPlayerPosition;
+
+        if (target && Math.abs(target.x - center.x) > 10) {
+            this.direction = target.x < center.x ? -1 : 1;
+
+            if (this.hasGroundAhead(platforms)) {
+                this.currentAnimation = 'walk';
+                this.velocityX = this.direction * this.speed;
+                return;
+            }
+        }
+
+        // Nothing there (or no way to get closer): glance both ways
+        this.lastPlayerPosition = null;
+        this.currentAnimation = 'idle';
+        this.velocityX = 0;
+        this.direction = Math.floor(this.ai.stateTime / 500) % 2 === 0 ? 1 : -1;
+    }
+
+    /**
+     * Run away from the player without stepping off a ledge
+     * @param {Object} player - Player object to flee from
+     * @param {Array} platforms - Array of platform objects
+     */
+    flee(player, platforms) {
+        this.currentAnimation = 'chase';
+        this.direction = player.getCenter().x < this.getCenter().x ? 1 : -1;
+
+        if (this.hasGroundAhead(platforms)) {
+            this.velocityX = this.direction * this.chaseSpeed;
+        } else {
+            // Cornered
+            this.velocityX = 0;
+            this.facePlayer(player);
+        }
+    }
+
+    /**
+     * Turn toward the player
+     * @param {Object} player - Player object
+     */
+    facePlayer(player) {
+        this.direction = player.getCenter().x < this.getCenter().x ? -1 : 1;
     }
 
     /**
@@ -180,17 +580,19 @@ class Enemy {
      * @param {number} deltaTime - Time since last frame
      */
     updatePhysics(deltaTime) {
+        const frames = frameScale(deltaTime);
+        
         // Apply gravity
-        if (!this.isGrounded) {
-            this.velocityY += this.gravity;
+        if (!this.isGrounded && !this.isFlying) {
+            this.velocityY += this.gravity * frames;
         }
 
         // Limit fall speed
         this.velocityY = clamp(this.velocityY, -20, this.maxFallSpeed);
 
         // Update position
-        this.x += this.velocityX;
-        this.y += this.velocityY;
+        this.x += this.velocityX * frames;
+        this.y += this.velocityY * frames;
     }
 
     /**
@@ -201,34 +603,11 @@ class Enemy {
         this.isGrounded = false;
         let hitWall = false;
 
-        for (const platform of platforms) {
-            if (checkCollision(this, platform)) {
-                // Determine collision direction
-                const overlapX = Math.min(this.x + this.width - platform.x, platform.x + platform.width - this.x);
-                const overlapY = Math.min(this.y + this.height - platform.y, platform.y + platform.height - this.y);
-
-                if (overlapX < overlapY) {
-                    // Horizontal collision (hit wall)
-                    if (this.x < platform.x) {
-                        this.x = platform.x - this.width;
-                    } else {
-                        this.x = platform.x + platform.width;
-                    }
-                    this.velocityX = 0;
-                    hitWall = true;
-                } else {
-                    // Vertical collision
-                    if (this.y < platform.y) {
-                        // Landing on top
-                        this.y = platform.y - this.height;
-                        this.velocityY = 0;
-                        this.isGrounded = true;
-                    } else {
-                        // Hit from below
-                        this.y = platform.y + platform.height;
-                        this.velocityY = 0;
-                    }
-                }
+        for (const collision of Platform.resolveCollisions(this, platforms)) {
+            if (collision.side === 'top') {
+                this.isGrounded = !collision.bounced;
+            } else if (collision.side === 'left' || collision.side === 'right') {
+                hitWall = true;
             }
         }
 
@@ -238,7 +617,7 @@ class Enemy {
         }
 
         // Check for edge detection (prevent falling off platforms)
-        if (this.isGrounded && !this.isChasing) {
+        if (this.isGrounded && !this.isChasing && !this.isFlying) {
             this.checkForEdges(platforms);
         }
     }
@@ -248,23 +627,27 @@ class Enemy {
      * @param {Array} platforms - Array of platform objects
      */
     checkForEdges(platforms) {
+        if (!this.hasGroundAhead(platforms)) {
+            this.changeDirection();
+        }
+    }
+
+    /**
+     * Check if there's ground just ahead in the facing direction
+     * @param {Array} platforms - Array of platform objects
+     * @returns {boolean} True if a step forward stays on solid ground
+     */
+    hasGroundAhead(platforms) {
         const futureX = this.x + (this.direction * 20); // Look ahead
         const futureY = this.y + this.height + 10; // Look below feet
         
-        let foundGround = false;
-        for (const platform of platforms) {
-            if (futureX + this.width > platform.x && 
-                futureX < platform.x + platform.width &&
-                futureY > platform.y && 
-                futureY < platform.y + platform.height) {
-                foundGround = true;
-                break;
-            }
-        }
-
-        if (!foundGround) {
-            this.changeDirection();
-        }
+        return platforms.some(platform =>
+            platform.providesCollision() &&
+            futureX + this.width > platform.x && 
+            futureX < platform.x + platform.width &&
+            futureY > platform.y && 
+            futureY < platform.y + platform.height
+        );
     }
 
     /**
@@ -316,6 +699,31 @@ class Enemy {
         return false;
     }
 
+    /**
+     * Take damage from an attack, with knockback and hit-stun
+     * @param {number} damage - Amount of damage to take
+     * @param {number} direction - Direction of the knockback (-1 left, 1 right)
+     * @param {number} force - Knockback speed
+     * @returns {boolean} True if enemy died from this damage
+     */
+    takeHit(damage, direction, force) {
+        if (!this.isAlive) return false;
+        
+        if (this.takeDamage(damage)) {
+            return true;
+        }
+        
+        this.velocityX = direction * force;
+        this.velocityY = -force / 2;
+        this.isGrounded = false;
+        this.direction = -direction; // Turn to face the attacker
+        this.hitStunTimer = this.hitStunTime;
+        this.hitFlashTimer = this.hitFlashTime;
+        audioManager.play('hit', 0.4);
+        
+        return false;
+    }
+
     /**
      * Handle enemy death
      */
@@ -344,9 +752,14 @@ class Enemy {
                 this.takeDamage(this.maxHealth); // Kill enemy
                 player.velocityY = -8; // Bounce player up
                 return false; // No damage to player
+            } else if (player.hasPowerUp('invincibility')) {
+                // Invincible players knock enemies out on contact
+                this.takeDamage(this.maxHealth);
+                return false;
             } else {
-                // Enemy damages player
-                return player.takeDamage(this.damage);
+                // Enemy damages player and knocks them away
+                const direction = player.x + player.width / 2 < this.x + this.width / 2 ? -1 : 1;
+                return player.takeDamage(this.damage, direction);
             }
         }
 
@@ -357,15 +770,16 @@ class Enemy {
      * Render the enemy with animation
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} camera - Camera object for offset calculation
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
      */
-    render(ctx, camera) {
-        // Calculate screen position
-        const screenX = this.x - camera.x;
-        const screenY = this.y - camera.y;
+    render(ctx, camera, interpolation = 1) {
+        // Calculate screen position between the last two simulation steps
+        const screenX = lerp(this.previousX, this.x, interpolation) - camera.x;
+        const screenY = lerp(this.previousY, this.y, interpolation) - camera.y;
 
         // Don't render if off-screen
-        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
-            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
             return;
         }
 
@@ -384,12 +798,26 @@ class Enemy {
 
         ctx.restore();
 
-        // Debug: Draw detection range (comment out for production)
+        // Health bar once damaged
+        if (this.isAlive && this.health < this.maxHealth) {
+            this.drawHealthBar(ctx, screenX, screenY);
+        }
+
+        // Alert and search markers
+        if (this.isAlive) {
+            this.drawStateIcon(ctx, screenX, screenY);
+        }
+
+        // Debug: Draw vision cone (comment out for production)
         if (false) { // Set to true for debugging
-            ctx.strokeStyle = this.isChasing ? 'red' : 'yellow';
+            const facingAngle = this.direction > 0 ? 0 : Math.PI;
+            ctx.strokeStyle = this.isAware() ? 'red' : 'yellow';
             ctx.globalAlpha = 0.3;
             ctx.beginPath();
-            ctx.arc(screenX + this.width / 2, screenY + this.height / 2, this.detectionRange, 0, Math.PI * 2);
+            ctx.moveTo(screenX + this.width / 2, screenY + this.height / 2);
+            ctx.arc(screenX + this.width / 2, screenY + this.height / 2, this.detectionRange,
+                facingAngle - this.visionAngle, facingAngle + this.visionAngle);
+            ctx.closePath();
             ctx.stroke();
             ctx.globalAlpha = 1.0;
         }
@@ -406,16 +834,24 @@ class Enemy {
             ctx.globalAlpha = 1 - (this.deathTimer / this.deathDuration);
         }
 
+        if (this.isFlying) {
+            this.drawFlyingSprite(ctx, screenY);
+            ctx.globalAlpha = 1.0;
+            return;
+        }
+
         // Body color based on state
         let bodyColor = '#ff4444'; // Default red
-        if (this.isChasing) {
+        if (this.type === 'shooter') {
+            bodyColor = this.isAiming ? '#cc44ff' : '#8844cc'; // Purple, brighter when aiming
+        } else if (this.isChasing) {
             bodyColor = '#ff8800'; // Orange when chasing
         } else if (this.currentAnimation === 'idle') {
             bodyColor = '#666666'; // Gray when idle
         }
 
-        // Body
-        ctx.fillStyle = bodyColor;
+        // Body (flashes white when hit)
+        ctx.fillStyle = this.hitFlashTimer > 0 ? '#ffffff' : bodyColor;
         ctx.fillRect(4, screenY + 8, 20, 20);
         
         // Eyes
@@ -436,6 +872,11 @@ class Enemy {
         ctx.fillRect(2, screenY + 4, 24, 4);
         ctx.fillRect(6, screenY + 28, 16, 4);
         
+        // Shooter barrel
+        if (this.type === 'shooter') {
+            ctx.fillRect(22, screenY + 14, 8, 5);
+        }
+        
         // Animation effect for walking
         if (this.currentAnimation === 'walk' || this.currentAnimation === 'chase') {
             const bobOffset = Math.sin(this.animationFrame * 2) * 1;
@@ -447,6 +888,91 @@ class Enemy {
         ctx.globalAlpha = 1.0;
     }
 
+    /**
+     * Draw a winged sprite for flying enemies
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenY - Screen Y position
+     */
+    drawFlyingSprite(ctx, screenY) {
+        const bodyColor = this.isSwooping ? '#ff44aa' : '#44aacc'; // Pink when swooping, teal when cruising
+        const flap = this.isAlive ? Math.sin(this.flightTime / 50) * 8 : 0;
+
+        // Wings (swept back while swooping)
+        ctx.fillStyle = '#333333';
+        const wingTipY = this.isSwooping ? screenY + 4 : screenY + 10 - flap;
+        ctx.beginPath();
+        ctx.moveTo(8, screenY + 14);
+        ctx.lineTo(-6, wingTipY);
+        ctx.lineTo(4, screenY + 20);
+        ctx.closePath();
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(20, screenY + 14);
+        ctx.lineTo(34, wingTipY);
+        ctx.lineTo(24, screenY + 20);
+        ctx.closePath();
+        ctx.fill();
+
+        // Body (flashes white when hit)
+        ctx.fillStyle = this.hitFlashTimer > 0 ? '#ffffff' : bodyColor;
+        ctx.fillRect(6, screenY + 8, 16, 16);
+
+        // Ears
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(7, screenY + 4, 4, 4);
+        ctx.fillRect(17, screenY + 4, 4, 4);
+
+        // Eyes
+        ctx.fillStyle = this.isSwooping ? '#ffff00' : '#ffffff';
+        ctx.fillRect(10, screenY + 12, 3, 3);
+        ctx.fillRect(16, screenY + 12, 3, 3);
+
+        // Fangs
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(11, screenY + 20, 2, 3);
+        ctx.fillRect(16, screenY + 20, 2, 3);
+    }
+
+    /**
+     * Draw a marker above enemies that have just spotted or lost the player
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     */
+    drawStateIcon(ctx, screenX, screenY) {
+        let icon = null;
+        if (this.noticeTimer > 0 || this.ai.is('alert')) {
+            icon = '!';
+        } else if (this.ai.is('search')) {
+            icon = '?';
+        }
+        
+        if (!icon) return;
+        
+        ctx.save();
+        ctx.fillStyle = icon === '!' ? '#ffdd00' : '#ffffff';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(icon, screenX + this.width / 2, screenY - 12);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the health bar above the enemy
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     */
+    drawHealthBar(ctx, screenX, screenY) {
+        const barY = screenY - 8;
+        const healthRatio = this.health / this.maxHealth;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(screenX, barY, this.width, 4);
+        ctx.fillStyle = healthRatio > 0.5 ? '#44ff44' : healthRatio > 0.25 ? '#ffaa44' : '#ff4444';
+        ctx.fillRect(screenX, barY, this.width * healthRatio, 4);
+    }
+
     /**
      * Get enemy's collision rectangle
      * @returns {Object} Rectangle object with x, y, width, height
@@ -479,13 +1005,68 @@ class Enemy {
         return this.shouldRemove;
     }
 
+    /**
+     * Serialize enemy to level data
+     * @returns {Object} Enemy data
+     */
+    toJSON() {
+        return {
+            x: this.startX,
+            y: this.startY,
+            type: this.type,
+            speed: this.speed,
+            chaseSpeed: this.chaseSpeed,
+            patrolDistance: this.patrolDistance,
+            detectionRange: this.detectionRange,
+            health: this.maxHealth,
+            damage: this.damage,
+            shootCooldown: this.shootCooldown,
+            projectileSpeed: this.projectileSpeed,
+            projectileDamage: this.projectileDamage,
+            path: this.path ? JSON.parse(JSON.stringify(this.path)) : null
+        };
+    }
+
+    /**
+     * Create an enemy from level data
+     * @param {Object} data - Enemy data
+     * @returns {Enemy} New enemy
+     */
+    static fromJSON(data) {
+        const enemy = new Enemy(data.x, data.y, data.type);
+        
+        const params = ['speed', 'chaseSpeed', 'patrolDistance', 'detectionRange', 'damage',
+                        'shootCooldown', 'projectileSpeed', 'projectileDamage'];
+        for (const param of params) {
+            if (data[param] !== undefined) {
+                enemy[param] = data[param];
+            }
+        }
+        
+        if (data.health !== undefined) {
+            enemy.health = data.health;
+            enemy.maxHealth = data.health;
+        }
+        
+        if (data.path) {
+            enemy.path = JSON.parse(JSON.stringify(data.path));
+        }
+        
+        return enemy;
+    }
+
     /**
      * Reset enemy to initial state
      */
     reset() {
         this.x = this.startX;
+        this.y = this.startY;
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.velocityX = 0;
         this.velocityY = 0;
+        this.isGrounded = false;
+        this.groundPlatform = null;
         this.health = this.maxHealth;
         this.isAlive = true;
         this.isChasing = false;
@@ -495,5 +1076,20 @@ class Enemy {
         this.canTurnAround = true;
         this.turnCooldown = 0;
         this.lastPlayerPosition = null;
+        this.unseenTime = 0;
+        this.clearNavigation();
+        this.noticeTimer = 0;
+        this.hitStunTimer = 0;
+        this.hitFlashTimer = 0;
+        this.isAiming = false;
+        this.shootTimer = 0;
+        this.pendingShots = [];
+        this.flightTime = 0;
+        this.waypointIndex = 0;
+        this.isSwooping = false;
+        this.swoopTarget = null;
+        this.swoopTimer = 0;
+        this.swoopCooldownTimer = 0;
+        this.ai.reset();
     }
 }
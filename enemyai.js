@@ -0,0 +1,229 @@
+/**
+ * Conditions used by enemy AI transitions
+ * Each receives the enemy and the AI context built in Enemy.updateAI(). Spotting the player
+ * needs a clear line of sight and the player inside the vision cone; once aware, enemies keep
+ * track of the player for as long as they can see them (and briefly after, to follow them
+ * around corners and onto other platforms).
+ */
+const ENEMY_CONDITIONS = {
+    playerSpotted: (enemy, context) => context.playerSpotted,
+    playerOutOfSight: (enemy, context) => !context.playerVisible || context.distanceToPlayer > enemy.detectionRange,
+    playerLost: (enemy, context) => !context.player || enemy.unseenTime >= enemy.sightMemory,
+    playerInRange: (enemy, context) => context.distanceToPlayer <= enemy.detectionRange,
+    playerTooClose: (enemy, context) => context.distanceToPlayer < enemy.fleeDistance,
+    playerAtSafeDistance: (enemy, context) => context.distanceToPlayer >= enemy.fleeDistance * 1.5,
+    hurt: enemy => enemy.hitStunTimer > 0,
+    recovered: enemy => enemy.hitStunTimer <= 0,
+    lowHealth: enemy => enemy.health / enemy.maxHealth <= enemy.fleeHealth,
+    atPatrolEnd: enemy => (enemy.x - enemy.startX) * enemy.direction >= enemy.patrolDistance,
+    idleOver: enemy => enemy.ai.stateTime >= enemy.idleTime,
+    alertOver: enemy => enemy.ai.stateTime >= enemy.alertTime,
+    searchOver: enemy => enemy.ai.stateTime >= enemy.searchTime,
+    swoopReady: enemy => enemy.swoopCooldownTimer <= 0,
+    swoopFinished: enemy => enemy.swoopTimer <= 0 || enemy.hasReachedSwoopTarget()
+};
+
+/**
+ * Combine conditions so that all of them must hold
+ * @param {...Function} conditions - Conditions to combine
+ * @returns {Function} Combined condition
+ */
+function allConditions(...conditions) {
+    return (enemy, context) => conditions.every(condition => condition(enemy, context));
+}
+
+/**
+ * Enemy AI states, shared by every behavior
+ * States marked aware are ones where the enemy knows where the player is.
+ */
+const ENEMY_STATES = {
+    idle: {
+        enter: enemy => {
+            enemy.velocityX = 0;
+            enemy.currentAnimation = 'idle';
+        },
+        update: enemy => {
+            enemy.velocityX = 0;
+        }
+    },
+    patrol: {
+        update: enemy => enemy.patrol()
+    },
+    alert: {
+        // Stop and stare before giving chase
+        aware: true,
+        update: (enemy, context) => {
+            enemy.currentAnimation = 'idle';
+            enemy.velocityX = 0;
+            enemy.facePlayer(context.player);
+        }
+    },
+    chase: {
+        aware: true,
+        enter: enemy => {
+            enemy.isChasing = true;
+        },
+        update: (enemy, context) => {
+            enemy.lastPlayerPosition = context.player.getCenter();
+            enemy.chase(context.player, context.navigation);
+        },
+        exit: enemy => {
+            enemy.isChasing = false;
+            enemy.clearNavigation();
+        }
+    },
+    search: {
+        update: (enemy, context) => enemy.search(context.platforms),
+        exit: enemy => {
+            enemy.lastPlayerPosition = null;
+        }
+    },
+    flee: {
+        aware: true,
+        update: (enemy, context) => enemy.flee(context.player, context.platforms)
+    },
+    hurt: {
+        aware: true,
+        update: (enemy, context) => enemy.updateHitStun(context.deltaTime)
+    },
+    aim: {
+        aware: true,
+        enter: enemy => {
+            enemy.isAiming = true;
+        },
+        update: (enemy, context) => {
+            enemy.currentAnimation = 'aim';
+            enemy.velocityX = 0;
+            enemy.facePlayer(context.player);
+            if (enemy.shootTimer <= 0) {
+                enemy.shoot(context.player);
+            }
+        },
+        exit: enemy => {
+            enemy.isAiming = false;
+        }
+    },
+    fly: {
+        update: enemy => enemy.followPath()
+    },
+    swoop: {
+        aware: true,
+        enter: (enemy, context) => enemy.startSwoop(context.player),
+        update: enemy => enemy.swoop(),
+        exit: enemy => enemy.endSwoop()
+    }
+};
+
+/**
+ * Enemy behaviors by enemy type: which states each type uses and when it switches between them
+ * Every state that acts on the player has a way out for when the player is gone (distance is
+ * Infinity then), since transitions are checked before the state updates.
+ */
+const ENEMY_BEHAVIORS = {
+    // Wanders, pauses at the ends of its route, hesitates before chasing and runs when badly hurt
+    patrol: {
+        initial: 'patrol',
+        anyTransitions: [{ to: 'hurt', when: ENEMY_CONDITIONS.hurt }],
+        transitions: {
+            patrol: [
+                { to: 'alert', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'idle', when: ENEMY_CONDITIONS.atPatrolEnd }
+            ],
+            idle: [
+                { to: 'alert', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'patrol', when: ENEMY_CONDITIONS.idleOver }
+            ],
+            alert: [
+                { to: 'patrol', when: ENEMY_CONDITIONS.playerOutOfSight },
+                { to: 'chase', when: ENEMY_CONDITIONS.alertOver }
+            ],
+            chase: [
+                { to: 'search', when: ENEMY_CONDITIONS.playerLost },
+                { to: 'flee', when: ENEMY_CONDITIONS.lowHealth }
+            ],
+            search: [
+                { to: 'chase', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'patrol', when: ENEMY_CONDITIONS.searchOver }
+            ],
+            flee: [
+                { to: 'search', when: ENEMY_CONDITIONS.playerLost }
+            ],
+            hurt: [
+                { to: 'flee', when: allConditions(ENEMY_CONDITIONS.recovered, ENEMY_CONDITIONS.lowHealth, ENEMY_CONDITIONS.playerInRange) },
+                { to: 'chase', when: allConditions(ENEMY_CONDITIONS.recovered, ENEMY_CONDITIONS.playerInRange) },
+                { to: 'search', when: ENEMY_CONDITIONS.recovered }
+            ]
+        },
+        states: ENEMY_STATES
+    },
+
+    // Charges as soon as it spots the player and hunts for them when they get away
+    chase: {
+        initial: 'patrol',
+        anyTransitions: [{ to: 'hurt', when: ENEMY_CONDITIONS.hurt }],
+        transitions: {
+            patrol: [
+                { to: 'chase', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'idle', when: ENEMY_CONDITIONS.atPatrolEnd }
+            ],
+            idle: [
+                { to: 'chase', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'patrol', when: ENEMY_CONDITIONS.idleOver }
+            ],
+            chase: [
+                { to: 'search', when: ENEMY_CONDITIONS.playerLost }
+            ],
+            search: [
+                { to: 'chase', when: ENEMY_CONDITIONS.playerSpotted },
+                { to: 'patrol', when: ENEMY_CONDITIONS.searchOver }
+            ],
+            hurt: [
+                { to: 'chase', when: allConditions(ENEMY_CONDITIONS.recovered, ENEMY_CONDITIONS.playerInRange) },
+                { to: 'search', when: ENEMY_CONDITIONS.recovered }
+            ]
+        },
+        states: ENEMY_STATES
+    },
+
+    // Keeps its distance: fires while the player is in range, backs off when they get close
+    shooter: {
+        initial: 'patrol',
+        anyTransitions: [{ to: 'hurt', when: ENEMY_CONDITIONS.hurt }],
+        transitions: {
+            patrol: [
+                { to: 'aim', when: ENEMY_CONDITIONS.playerSpotted }
+            ],
+            aim: [
+                { to: 'patrol', when: ENEMY_CONDITIONS.playerOutOfSight },
+                { to: 'flee', when: ENEMY_CONDITIONS.playerTooClose }
+            ],
+            flee: [
+                { to: 'patrol', when: ENEMY_CONDITIONS.playerOutOfSight },
+                { to: 'aim', when: ENEMY_CONDITIONS.playerAtSafeDistance }
+            ],
+            hurt: [
+                { to: 'aim', when: allConditions(ENEMY_CONDITIONS.recovered, ENEMY_CONDITIONS.playerInRange) },
+                { to: 'patrol', when: ENEMY_CONDITIONS.recovered }
+            ]
+        },
+        states: ENEMY_STATES
+    },
+
+    // Follows its flight path and swoops at the player
+    flying: {
+        initial: 'fly',
+        anyTransitions: [{ to: 'hurt', when: ENEMY_CONDITIONS.hurt }],
+        transitions: {
+            fly: [
+                { to: 'swoop', when: allConditions(ENEMY_CONDITIONS.playerSpotted, ENEMY_CONDITIONS.swoopReady) }
+            ],
+            swoop: [
+                { to: 'fly', when: ENEMY_CONDITIONS.swoopFinished }
+            ],
+            hurt: [
+                { to: 'fly', when: ENEMY_CONDITIONS.recovered }
+            ]
+        },
+        states: ENEMY_STATES
+    }
+};
@@ -8,7 +8,7 @@ class Game {
         this.ctx = this.canvas.getContext('2d');
         
         // Game state
-        this.state = 'loading'; // 'loading', 'menu', 'playing', 'paused', 'gameOver', 'levelComplete'
+        this.state = 'loading'; // 'loading', 'menu', 'playing', 'paused', 'gameOver', 'levelComplete', 'editing'
         this.previousState = 'menu';
         
         // Core game objects
@@ -17,6 +17,9 @@ class Game {
         this.camera = null;
         this.background = null;
         this.inputManager = null;
+        this.editor = null;
+        this.controlsMenu = null;
+        this.saveManager = new SaveManager();
         
         // Game properties
         this.currentLevelNumber = 1;
@@ -24,6 +27,25 @@ class Game {
         this.lives = 3;
         this.totalScore = 0;
         this.gameStartTime = 0;
+        this.seed = SeededRandom.generateSeed(); // Run seed, each level derives its own
+        this.playtesting = false; // Playing a level from the editor
+        this.saveSlot = null; // Save slot the current run is saved to
+        this.collectedItems = {}; // Collected item indices per level number
+        this.abilities = []; // Player abilities unlocked in the current run
+        this.arenaZoom = 0.8; // Camera zoom while locked in a boss or wave arena
+        
+        // Replays
+        this.playerActions = ['left', 'right', 'jump', 'dash', 'attack', 'throw', 'down']; // Actions fed to the player each step
+        this.replayRecorder = null; // Records the current level attempt
+        this.liveInputManager = null; // Real input manager, kept aside during playback
+        this.replaying = false;
+        
+        // Ghost racing
+        this.ghostStore = new GhostStore();
+        this.ghostRecorder = null; // Samples the current level attempt
+        this.ghost = null; // Best completion of the current level
+        this.splitDisplay = null; // Checkpoint split delta shown on screen
+        this.splitDisplayTime = 2500; // milliseconds
         
         // Performance tracking
         this.lastFrameTime = 0;
@@ -31,6 +53,12 @@ class Game {
         this.fps = 60;
         this.frameCount = 0;
         
+        // Fixed timestep simulation
+        this.fixedTimeStep = FIXED_TIMESTEP;
+        this.maxFrameTime = 250; // Avoid a spiral of catch-up steps after stalls
+        this.accumulator = 0;
+        this.interpolation = 1; // Fraction of the next step elapsed, used for rendering
+        
         // Game loop
         this.animationId = null;
         this.isRunning = false;
@@ -44,8 +72,15 @@ class Game {
             gameOverScreen: document.getElementById('gameOverScreen'),
             levelCompleteScreen: document.getElementById('levelCompleteScreen'),
             startScreen: document.getElementById('startScreen'),
+            saveSlotsScreen: document.getElementById('saveSlotsScreen'),
+            saveSlotsTitle: document.getElementById('saveSlotsTitle'),
+            controlsScreen: document.getElementById('controlsScreen'),
+            saveSlotList: document.getElementById('saveSlotList'),
+            continueBtn: document.getElementById('continueBtn'),
+            loadBtn: document.getElementById('loadBtn'),
             finalScore: document.getElementById('finalScore'),
-            levelScore: document.getElementById('levelScore')
+            levelScore: document.getElementById('levelScore'),
+            levelUnlocks: document.getElementById('levelUnlocks')
         };
         
         // Initialize game
@@ -73,6 +108,7 @@ class Game {
             this.setupGame();
             
             this.state = 'menu';
+            this.updateMenuButtons();
             console.log('Game initialized successfully!');
             
         } catch (error) {
@@ -88,7 +124,23 @@ class Game {
         // Start button
         const startBtn = document.getElementById('startBtn');
         if (startBtn) {
-            startBtn.addEventListener('click', () => this.startGame());
+            startBtn.addEventListener('click', () => this.newGame());
+        }
+        
+        // Continue button
+        if (this.ui.continueBtn) {
+            this.ui.continueBtn.addEventListener('click', () => this.continueGame());
+        }
+        
+        // Load game button
+        if (this.ui.loadBtn) {
+            this.ui.loadBtn.addEventListener('click', () => this.showSaveSlots());
+        }
+        
+        // Save slots back button
+        const saveSlotsBackBtn = document.getElementById('saveSlotsBackBtn');
+        if (saveSlotsBackBtn) {
+            saveSlotsBackBtn.addEventListener('click', () => this.showMainMenu());
         }
         
         // Restart button
@@ -109,30 +161,48 @@ class Game {
             levelRestartBtn.addEventListener('click', () => this.restartLevel());
         }
         
+        // Controls button
+        const controlsBtn = document.getElementById('controlsBtn');
+        if (controlsBtn) {
+            controlsBtn.addEventListener('click', () => this.controlsMenu.open());
+        }
+        
+        // Level editor button
+        const editorBtn = document.getElementById('editorBtn');
+        if (editorBtn) {
+            editorBtn.addEventListener('click', () => this.openEditor());
+        }
+        
         // Main menu buttons
         const mainMenuBtns = document.querySelectorAll('#mainMenuBtn');
         mainMenuBtns.forEach(btn => {
             btn.addEventListener('click', () => this.showMainMenu());
         });
         
-        // Keyboard shortcuts
+        // Keyboard shortcuts (follow the player's key bindings)
         document.addEventListener('keydown', (e) => {
-            switch (e.code) {
-                case 'Escape':
-                    if (this.state === 'playing') {
+            const keyboardInput = this.liveInputManager || this.inputManager;
+            
+            switch (keyboardInput.getAction(e.code)) {
+                case 'pause':
+                    if (this.replaying) {
+                        this.stopReplay();
+                    } else if (this.playtesting) {
+                        this.stopPlaytest();
+                    } else if (this.state === 'playing') {
                         this.pauseGame();
                     } else if (this.state === 'paused') {
                         this.resumeGame();
                     }
                     break;
-                case 'KeyR':
+                case 'restart':
                     if (this.state === 'gameOver' || this.state === 'levelComplete') {
                         this.restartLevel();
                     }
                     break;
-                case 'Enter':
-                    if (this.state === 'menu') {
-                        this.startGame();
+                case 'confirm':
+                    if (this.state === 'menu' && !this.ui.startScreen.classList.contains('hidden')) {
+                        this.newGame();
                     }
                     break;
             }
@@ -156,8 +226,15 @@ class Game {
         
         // Create player
         this.player = new Player(50, 400);
+        this.player.onCheckpoint = () => this.handleCheckpoint();
         this.camera.setTarget(this.player);
         
+        // Create level editor
+        this.editor = new LevelEditor(this);
+        
+        // Create controls menu
+        this.controlsMenu = new ControlsMenu(this);
+        
         // Load first level
         this.loadLevel(this.currentLevelNumber);
         
@@ -165,35 +242,152 @@ class Game {
         this.startGameLoop();
     }
 
+    /**
+     * Start a new game in an empty save slot, or let the player pick a save to overwrite when all are full
+     */
+    newGame() {
+        if (this.saveManager.available && this.saveManager.getEmptySlot() === -1) {
+            this.showSaveSlots(true);
+        } else {
+            this.startGame();
+        }
+    }
+
     /**
      * Start the game
+     * @param {number|null} seed - Run seed to reproduce (random if null)
+     * @param {number|null} slot - Save slot for the run (the first empty slot if null; without one the run isn't saved)
      */
-    startGame() {
+    startGame(seed = null, slot = null) {
+        const emptySlot = this.saveManager.getEmptySlot();
+        
         this.state = 'playing';
+        this.seed = seed === null ? SeededRandom.generateSeed() : seed;
+        this.saveSlot = slot !== null ? slot : (emptySlot !== -1 ? emptySlot : null);
         this.gameStartTime = getTimestamp();
         this.score = 0;
         this.totalScore = 0;
         this.currentLevelNumber = 1;
         this.lives = 3;
+        this.collectedItems = {};
+        this.abilities = [];
         
+        this.player.setAbilities(this.abilities);
         this.player.reset(50, 400);
         this.loadLevel(this.currentLevelNumber);
         this.hideAllScreens();
         this.updateUI();
+        this.saveGame();
+        this.startRecording();
         
         console.log('Game started!');
     }
 
+    /**
+     * Continue the most recently saved game
+     */
+    continueGame() {
+        const slot = this.saveManager.getMostRecentSlot();
+        if (slot !== -1) {
+            this.loadGame(slot);
+        }
+    }
+
+    /**
+     * Save the current run to its save slot
+     * @returns {boolean} True if the game was saved
+     */
+    saveGame() {
+        if (this.saveSlot === null || this.playtesting || this.replaying || !this.currentLevel) return false;
+        
+        const progress = this.currentLevel.getProgress();
+        const atCheckpoint = progress.checkpoints.length > 0;
+        
+        const saved = this.saveManager.save(this.saveSlot, {
+            seed: this.seed,
+            levelNumber: this.currentLevelNumber,
+            score: this.score,
+            totalScore: this.totalScore,
+            lives: this.lives,
+            checkpoint: atCheckpoint ? {
+                x: this.player.checkpointX,
+                y: this.player.checkpointY,
+                health: this.player.lastCheckpointHealth
+            } : null,
+            activatedCheckpoints: progress.checkpoints,
+            abilities: [...this.abilities],
+            collectedItems: { ...this.collectedItems, [this.currentLevelNumber]: progress.collected }
+        });
+        
+        if (saved) {
+            console.log(`Game saved to slot ${this.saveSlot + 1}`);
+        }
+        
+        return saved;
+    }
+
+    /**
+     * Load a saved game and resume from its checkpoint
+     * @param {number} slot - Save slot to load
+     * @returns {boolean} True if the game was loaded
+     */
+    loadGame(slot) {
+        const data = this.saveManager.load(slot);
+        if (!data) {
+            console.warn(`Save slot ${slot + 1} is empty`);
+            return false;
+        }
+        
+        this.saveSlot = slot;
+        this.seed = data.seed;
+        this.currentLevelNumber = data.levelNumber;
+        this.score = data.score;
+        this.totalScore = data.totalScore;
+        this.lives = data.lives;
+        this.collectedItems = { ...data.collectedItems };
+        this.abilities = [...(data.abilities || [])];
+        this.player.setAbilities(this.abilities);
+        this.gameStartTime = getTimestamp();
+        
+        this.loadLevel(this.currentLevelNumber);
+        this.currentLevel.restoreProgress({
+            collected: this.collectedItems[this.currentLevelNumber],
+            checkpoints: data.activatedCheckpoints
+        });
+        
+        // Resume from the saved checkpoint, or the start of the level
+        this.player.reset(this.currentLevel.playerStartX, this.currentLevel.playerStartY);
+        if (data.checkpoint) {
+            this.player.checkpointX = data.checkpoint.x;
+            this.player.checkpointY = data.checkpoint.y;
+            this.player.lastCheckpointHealth = data.checkpoint.health;
+            this.player.respawn();
+        }
+        this.camera.panTo(this.player.x, this.player.y, 0);
+        
+        // Replays and ghosts start from a fresh level, so a resumed attempt isn't recorded
+        this.stopRecording();
+        
+        this.state = 'playing';
+        this.hideAllScreens();
+        this.updateUI();
+        
+        console.log(`Loaded save slot ${slot + 1} (level ${this.currentLevelNumber})`);
+        return true;
+    }
+
     /**
      * Restart the current level
      */
     restartLevel() {
         this.state = 'playing';
+        
+        // Rebuild the level so the attempt matches a fresh load (and its replay)
+        this.loadLevel(this.currentLevelNumber);
         this.player.reset(this.currentLevel.playerStartX, this.currentLevel.playerStartY);
-        this.currentLevel.reset();
-        this.camera.setWorldBounds(this.currentLevel.width, this.currentLevel.height);
         this.hideAllScreens();
         this.updateUI();
+        this.startRecording();
         
         console.log(`Restarted level ${this.currentLevelNumber}`);
     }
@@ -206,7 +400,7 @@ class Game {
         this.score = 0;
         this.totalScore = 0;
         this.lives = 3;
-        this.startGame();
+        this.startGame(null, this.saveSlot);
     }
 
     /**
@@ -222,25 +416,215 @@ class Game {
         this.state = 'playing';
         this.hideAllScreens();
         this.updateUI();
+        this.saveGame();
+        this.startRecording();
         
         console.log(`Advanced to level ${this.currentLevelNumber}`);
     }
 
+    /**
+     * Start recording a replay of the current level attempt
+     */
+    startRecording() {
+        this.replayRecorder = new ReplayRecorder({
+            levelNumber: this.currentLevelNumber,
+            seed: this.currentLevel.seed,
+            lives: this.lives,
+            abilities: this.abilities,
+            actions: this.playerActions
+        });
+        
+        // Race against the best completion of this level
+        const bestGhost = this.ghostStore.load(this.currentLevel);
+        this.ghost = bestGhost ? new Ghost(bestGhost) : null;
+        this.ghostRecorder = new GhostRecorder();
+        this.splitDisplay = null;
+    }
+
+    /**
+     * Stop recording the current level attempt
+     */
+    stopRecording() {
+        this.replayRecorder = null;
+        this.ghostRecorder = null;
+        this.ghost = null;
+        this.splitDisplay = null;
+    }
+
+    /**
+     * Handle the player reaching a checkpoint
+     */
+    handleCheckpoint() {
+        this.saveGame();
+        
+        if (!this.ghostRecorder) return;
+        
+        // Checkpoints activate one at a time, so the new one is the only unrecorded one
+        const index = this.currentLevel.checkpoints.findIndex((checkpoint, i) =>
+            checkpoint.isActivated() && !(i in this.ghostRecorder.splits)
+        );
+        if (index === -1) return;
+        
+        this.ghostRecorder.recordSplit(index);
+        
+        // Compare against the best run's split
+        const ghostSplit = this.ghost ? this.ghost.getSplit(index) : null;
+        if (ghostSplit !== null) {
+            const delta = (this.ghostRecorder.frameCount - ghostSplit) * FIXED_TIMESTEP / 1000;
+            this.splitDisplay = { delta, timer: this.splitDisplayTime };
+        }
+    }
+
+    /**
+     * Store the completed attempt if it's the best one for the level
+     */
+    saveGhost() {
+        if (!this.ghostRecorder) return;
+        
+        if (this.ghostStore.submit(this.currentLevel, this.ghostRecorder.toJSON())) {
+            const time = this.ghostRecorder.frameCount * FIXED_TIMESTEP / 1000;
+            console.log(`New best time for level ${this.currentLevelNumber}: ${time.toFixed(2)}s`);
+        }
+    }
+
+    /**
+     * Get the replay of the current level attempt
+     * @returns {Object|null} Replay data, or null if nothing is being recorded
+     */
+    getReplay() {
+        return this.replayRecorder ? this.replayRecorder.toJSON() : null;
+    }
+
+    /**
+     * Play back a recorded replay
+     * @param {Object|string} replay - Replay data or its JSON string
+     */
+    startReplay(replay) {
+        const replayInput = new ReplayInputManager(replay);
+        const data = replayInput.replay;
+        
+        if (this.replaying) {
+            this.inputManager = this.liveInputManager;
+        }
+        this.liveInputManager = this.inputManager;
+        this.inputManager = replayInput;
+        this.replaying = true;
+        this.stopRecording();
+        
+        this.currentLevelNumber = data.levelNumber;
+        this.lives = data.lives;
+        this.score = 0;
+        this.setLevel(new Level(data.levelNumber, this.canvas.width, this.canvas.height, { seed: data.seed }));
+        this.player.setAbilities(data.abilities || []);
+        this.player.reset(this.currentLevel.playerStartX, this.currentLevel.playerStartY);
+        this.camera.panTo(this.player.x, this.player.y, 0);
+        
+        this.state = 'playing';
+        this.hideAllScreens();
+        this.updateUI();
+        
+        console.log(`Playing replay of level ${data.levelNumber} (${data.frameCount} steps)`);
+    }
+
+    /**
+     * Stop replay playback and return to the main menu
+     */
+    stopReplay() {
+        if (!this.replaying) return;
+        
+        this.inputManager = this.liveInputManager;
+        this.liveInputManager = null;
+        this.replaying = false;
+        
+        this.player.setAbilities(this.abilities);
+        this.loadLevel(this.currentLevelNumber);
+        this.showMainMenu();
+        
+        console.log('Replay finished');
+    }
+
     /**
      * Load a specific level
      * @param {number} levelNumber - Level number to load
      */
     loadLevel(levelNumber) {
-        this.currentLevel = new Level(levelNumber, this.canvas.width, this.canvas.height);
-        this.currentLevel.startTime = getTimestamp();
+        const seed = SeededRandom.deriveSeed(this.seed, levelNumber);
+        this.setLevel(new Level(levelNumber, this.canvas.width, this.canvas.height, { seed }));
+    }
+
+    /**
+     * Make a level the current level
+     * @param {Level} level - Level to play
+     */
+    setLevel(level) {
+        this.currentLevel = level;
         
-        // Update camera bounds
+        // Update camera and player bounds
         this.camera.setWorldBounds(this.currentLevel.width, this.currentLevel.height);
+        this.camera.setZoom(1, true);
+        this.player.setWorldBounds(this.currentLevel.width, this.currentLevel.height);
         
-        // Update background theme
+        // Update background theme and scenery
         this.background.setTheme(this.currentLevel.theme);
+        this.background.setSeed(this.currentLevel.seed);
+        
+        console.log(`Loaded level ${level.levelNumber} (${this.currentLevel.theme} theme, seed ${level.seed})`);
+    }
+
+    /**
+     * Open the level editor
+     * @param {Level} level - Level to edit (defaults to a copy of the current level)
+     */
+    openEditor(level = null) {
+        if (!level) {
+            level = Level.fromJSON(this.currentLevel.toJSON(), this.canvas.width, this.canvas.height);
+        }
+        
+        this.state = 'editing';
+        this.hideAllScreens();
+        this.editor.open(level);
+        
+        console.log('Level editor opened');
+    }
+
+    /**
+     * Close the level editor and return to the main menu
+     */
+    closeEditor() {
+        this.editor.close();
+        this.camera.setTarget(this.player);
+        this.loadLevel(this.currentLevelNumber);
+        this.showMainMenu();
+    }
+
+    /**
+     * Play-test a level from the editor
+     * @param {Object} levelData - Level data to play
+     * @param {number} x - Player start X position
+     * @param {number} y - Player start Y position
+     */
+    startPlaytest(levelData, x, y) {
+        this.editor.close();
+        this.camera.setTarget(this.player);
         
-        console.log(`Loaded level ${levelNumber} (${this.currentLevel.theme} theme)`);
+        this.playtesting = true;
+        this.stopRecording();
+        this.setLevel(Level.fromJSON(levelData, this.canvas.width, this.canvas.height));
+        this.player.setAbilities(PLAYER_ABILITIES); // Designers can test every ability
+        this.player.reset(x, y);
+        this.camera.setPosition(x - this.canvas.width / 2, y - this.canvas.height / 2);
+        this.state = 'playing';
+        
+        console.log(`Play-testing from (${x}, ${y})`);
+    }
+
+    /**
+     * Stop play-testing and return to the editor
+     */
+    stopPlaytest() {
+        this.playtesting = false;
+        this.player.setAbilities(this.abilities);
+        this.openEditor(this.editor.level);
     }
 
     /**
@@ -270,9 +654,74 @@ class Game {
     showMainMenu() {
         this.state = 'menu';
         this.hideAllScreens();
+        this.updateMenuButtons();
         this.ui.startScreen.classList.remove('hidden');
     }
 
+    /**
+     * Show or hide the start screen save buttons depending on available saves
+     */
+    updateMenuButtons() {
+        if (this.ui.continueBtn) {
+            this.ui.continueBtn.classList.toggle('hidden', !this.saveManager.hasSaves());
+        }
+        if (this.ui.loadBtn) {
+            this.ui.loadBtn.classList.toggle('hidden', !this.saveManager.available);
+        }
+    }
+
+    /**
+     * Show the save slot screen for loading or starting a game in a slot
+     * @param {boolean} newGame - Whether a new game is being started, so picking a save overwrites it
+     */
+    showSaveSlots(newGame = false) {
+        const list = this.ui.saveSlotList;
+        list.innerHTML = '';
+        
+        if (this.ui.saveSlotsTitle) {
+            this.ui.saveSlotsTitle.textContent = newGame ? 'Choose a Slot to Overwrite' : 'Load Game';
+        }
+        
+        this.saveManager.getSlots().forEach((data, slot) => {
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+            
+            const button = document.createElement('button');
+            if (data) {
+                const savedAt = new Date(data.savedAt).toLocaleString();
+                button.textContent = `Slot ${slot + 1}: Level ${data.levelNumber} - ` +
+                    `Score ${data.totalScore + data.score} - ${savedAt}`;
+                button.addEventListener('click', () => {
+                    if (!newGame) {
+                        this.loadGame(slot);
+                    } else if (confirm(`Overwrite slot ${slot + 1} with a new game? Its progress will be lost.`)) {
+                        this.startGame(null, slot);
+                    }
+                });
+            } else {
+                button.textContent = `Slot ${slot + 1}: New Game`;
+                button.addEventListener('click', () => this.startGame(null, slot));
+            }
+            row.appendChild(button);
+            
+            if (data) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'delete-slot';
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => {
+                    this.saveManager.delete(slot);
+                    this.showSaveSlots(newGame);
+                });
+                row.appendChild(deleteButton);
+            }
+            
+            list.appendChild(row);
+        });
+        
+        this.hideAllScreens();
+        this.ui.saveSlotsScreen.classList.remove('hidden');
+    }
+
     /**
      * Start game loop
      */
@@ -281,6 +730,7 @@ class Game {
         
         this.isRunning = true;
         this.lastFrameTime = getTimestamp();
+        this.accumulator = 0;
         this.gameLoop();
     }
 
@@ -296,7 +746,7 @@ class Game {
     }
 
     /**
-     * Main game loop
+     * Main game loop - runs the simulation in fixed steps and renders once per frame
      */
     gameLoop() {
         if (!this.isRunning) return;
@@ -305,17 +755,24 @@ class Game {
         this.deltaTime = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
         
-        // Limit delta time to prevent large jumps
-        this.deltaTime = Math.min(this.deltaTime, 50);
+        // Limit frame time to prevent large jumps
+        this.deltaTime = Math.min(this.deltaTime, this.maxFrameTime);
         
         // Update FPS counter
         this.frameCount++;
-        if (this.frameCount % 60 === 0) {
+        if (this.frameCount % 60 === 0 && this.deltaTime > 0) {
             this.fps = Math.round(1000 / this.deltaTime);
         }
         
-        // Update and render
-        this.update(this.deltaTime);
+        // Advance the simulation in fixed steps
+        this.accumulator += this.deltaTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+        this.interpolation = this.accumulator / this.fixedTimeStep;
+        
+        // Render between the last two simulation steps
         this.render();
         
         // Continue loop
@@ -323,12 +780,15 @@ class Game {
     }
 
     /**
-     * Update game state
-     * @param {number} deltaTime - Time since last frame
+     * Update game state by one simulation step
+     * @param {number} deltaTime - Simulation step in milliseconds
      */
     update(deltaTime) {
-        // Update input
-        this.inputManager.update();
+        // Update input (replay input only advances on steps that are simulated, so pausing
+        // playback doesn't skip recorded steps)
+        if (!this.replaying || this.state === 'playing') {
+            this.inputManager.update();
+        }
         
         // Handle pause input
         if (this.inputManager.isJustPressed('pause')) {
@@ -347,6 +807,9 @@ class Game {
             case 'paused':
                 // Don't update game objects when paused
                 break;
+            case 'editing':
+                this.editor.update(deltaTime);
+                break;
             case 'menu':
             case 'gameOver':
             case 'levelComplete':
@@ -370,29 +833,70 @@ class Game {
         
         // Update game objects
         this.player.update(deltaTime, this.currentLevel.platforms);
+        if (this.player.pendingThrow) {
+            this.currentLevel.spawnProjectile(this.player.pendingThrow);
+            this.player.pendingThrow = null;
+        }
         this.currentLevel.update(deltaTime, this.player);
         this.background.update(deltaTime, this.camera);
         
+        // Pull the camera back to show the whole arena during an arena fight
+        const zoom = this.currentLevel.activeArena ? this.arenaZoom : 1;
+        if (this.camera.targetZoom !== zoom) {
+            this.camera.setZoom(zoom);
+        }
+        
         // Handle collisions
         this.handleCollisions();
         
+        // Ghost racing
+        if (this.ghostRecorder) {
+            this.ghostRecorder.record(this.player);
+        }
+        if (this.ghost) {
+            this.ghost.update();
+        }
+        if (this.splitDisplay) {
+            this.splitDisplay.timer -= deltaTime;
+            if (this.splitDisplay.timer <= 0) {
+                this.splitDisplay = null;
+            }
+        }
+        
         // Check game conditions
         this.checkGameConditions();
+        
+        // Hand control back once every recorded step has been played
+        if (this.replaying && this.inputManager.isFinished()) {
+            this.stopReplay();
+        }
     }
 
     /**
      * Update player input
      */
     updatePlayerInput() {
-        this.player.setInput('left', this.inputManager.isPressed('left'));
-        this.player.setInput('right', this.inputManager.isPressed('right'));
-        this.player.setInput('jump', this.inputManager.isPressed('jump'));
+        const actionStates = {};
+        
+        for (const action of this.playerActions) {
+            actionStates[action] = this.inputManager.isPressed(action);
+            this.player.setInput(action, actionStates[action]);
+        }
+        
+        if (this.replayRecorder) {
+            this.replayRecorder.record(actionStates);
+        }
     }
 
     /**
      * Handle all game collisions
      */
     handleCollisions() {
+        // Player attacks
+        if (this.player.attackEnemies(this.currentLevel.enemies).length > 0) {
+            this.camera.startShake(3, 100);
+        }
+        
         // Player-Enemy collisions
         for (const enemy of this.currentLevel.enemies) {
             if (enemy.checkPlayerCollision(this.player)) {
@@ -401,6 +905,24 @@ class Game {
             }
         }
         
+        // Projectile hits
+        for (const projectile of this.currentLevel.getActiveProjectiles()) {
+            if (projectile.owner === 'player') {
+                const enemy = this.currentLevel.enemies.find(enemy => enemy.isAlive && projectile.hits(enemy));
+                if (enemy) {
+                    enemy.takeHit(projectile.damage, projectile.getDirection(), projectile.knockback);
+                    projectile.deactivate();
+                    this.camera.startShake(2, 80);
+                }
+            } else if (projectile.hits(this.player)) {
+                projectile.deactivate();
+                if (this.player.takeDamage(projectile.damage, projectile.getDirection())) {
+                    this.camera.startShake(5, 200);
+                    this.inputManager.vibrate(100);
+                }
+            }
+        }
+        
         // Player-Collectible collisions
         for (const collectible of this.currentLevel.collectibles) {
             const collection = collectible.checkPlayerCollision(this.player);
@@ -421,16 +943,17 @@ class Game {
     handleCollectibleCollection(collection) {
         switch (collection.effect) {
             case 'score':
-                this.score += collection.value;
+                this.score += collection.value * this.player.scoreMultiplier;
                 break;
             case 'health':
                 this.player.heal(collection.value);
                 break;
-            case 'special':
-                this.score += collection.value;
-                // Add special effect (e.g., temporary invincibility)
-                this.camera.startFlash('#ffdd00', 300);
+            case 'powerUp': {
+                this.score += collection.value * this.player.scoreMultiplier;
+                const powerUp = this.player.addPowerUp(collection.powerUp);
+                this.camera.startFlash(powerUp.color, 300);
                 break;
+            }
         }
     }
 
@@ -440,7 +963,10 @@ class Game {
     checkGameConditions() {
         // Check if player died
         if (this.player.isDead()) {
-            this.lives--;
+            // Play-testing doesn't cost lives
+            if (!this.playtesting) {
+                this.lives--;
+            }
             
             if (this.lives <= 0) {
                 this.gameOver();
@@ -465,8 +991,20 @@ class Game {
      * Handle level completion
      */
     levelComplete() {
+        if (this.playtesting) {
+            this.stopPlaytest();
+            return;
+        }
+        if (this.replaying) {
+            this.stopReplay();
+            return;
+        }
+        
         this.state = 'levelComplete';
         this.totalScore += this.score;
+        this.collectedItems[this.currentLevelNumber] = this.currentLevel.getProgress().collected;
+        const unlocked = this.unlockAbilities(this.currentLevel.unlocks);
+        this.saveGhost();
         
         // Calculate bonus points
         const timeBonus = this.calculateTimeBonus();
@@ -474,12 +1012,29 @@ class Game {
         this.score += timeBonus + healthBonus;
         this.totalScore += timeBonus + healthBonus;
         
-        this.showLevelCompleteScreen();
+        this.showLevelCompleteScreen(unlocked);
         audioManager.play('levelComplete', 0.8);
         
         console.log(`Level ${this.currentLevelNumber} completed! Score: ${this.score}`);
     }
 
+    /**
+     * Unlock player abilities for the rest of the run
+     * @param {Array} abilities - Ability names to unlock
+     * @returns {Array} Abilities that weren't unlocked before
+     */
+    unlockAbilities(abilities) {
+        const unlocked = abilities.filter(ability => !this.abilities.includes(ability));
+        
+        for (const ability of unlocked) {
+            this.abilities.push(ability);
+            console.log(`Unlocked ability: ${ability}`);
+        }
+        this.player.setAbilities(this.abilities);
+        
+        return unlocked;
+    }
+
     /**
      * Calculate time bonus for completing level quickly
      * @returns {number} Time bonus points
@@ -496,6 +1051,15 @@ class Game {
      * Handle game over
      */
     gameOver() {
+        if (this.playtesting) {
+            this.stopPlaytest();
+            return;
+        }
+        if (this.replaying) {
+            this.stopReplay();
+            return;
+        }
+        
         this.state = 'gameOver';
         this.showGameOverScreen();
         
@@ -513,11 +1077,18 @@ class Game {
 
     /**
      * Show level complete screen
+     * @param {Array} unlocked - Abilities unlocked by completing the level
      */
-    showLevelCompleteScreen() {
+    showLevelCompleteScreen(unlocked = []) {
         this.hideAllScreens();
         this.ui.levelCompleteScreen.classList.remove('hidden');
         this.ui.levelScore.textContent = this.score;
+        
+        if (this.ui.levelUnlocks) {
+            const names = unlocked.map(ability => ability.charAt(0).toUpperCase() + ability.slice(1));
+            this.ui.levelUnlocks.textContent = `New ability unlocked: ${names.join(', ')}!`;
+            this.ui.levelUnlocks.classList.toggle('hidden', unlocked.length === 0);
+        }
     }
 
     /**
@@ -527,6 +1098,8 @@ class Game {
         this.ui.gameOverScreen.classList.add('hidden');
         this.ui.levelCompleteScreen.classList.add('hidden');
         this.ui.startScreen.classList.add('hidden');
+        this.ui.saveSlotsScreen.classList.add('hidden');
+        this.ui.controlsScreen.classList.add('hidden');
     }
 
     /**
@@ -557,32 +1130,71 @@ class Game {
      * Render the game
      */
     render() {
+        // Interpolate between simulation steps only while the simulation runs
+        const interpolation = this.state === 'playing' ? this.interpolation : 1;
+        
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.camera.beginRender(interpolation);
+        
+        // Render background (screen space, unaffected by zoom)
+        this.background.render(this.ctx, this.camera);
         
         // Apply camera transform
         this.camera.applyTransform(this.ctx);
         
-        // Render background
-        this.background.render(this.ctx, this.camera);
-        
         // Render level if playing
         if (this.state === 'playing' || this.state === 'paused') {
-            this.currentLevel.render(this.ctx, this.camera);
-            this.player.render(this.ctx, this.camera);
+            this.currentLevel.render(this.ctx, this.camera, interpolation);
+            if (this.ghost) {
+                this.ghost.render(this.ctx, this.camera, interpolation);
+            }
+            this.player.render(this.ctx, this.camera, interpolation);
+        } else if (this.state === 'editing') {
+            this.editor.renderWorld(this.ctx);
         }
         
         // Remove camera transform
         this.camera.removeTransform(this.ctx);
+        this.camera.endRender();
         
         // Render camera effects (flash, etc.)
         this.camera.renderEffects(this.ctx);
         
+        // Render editor information
+        if (this.state === 'editing') {
+            this.editor.renderOverlay(this.ctx);
+        }
+        
         // Render pause overlay
         if (this.state === 'paused') {
             this.renderPauseOverlay();
         }
         
+        // Render replay indicator
+        if (this.replaying) {
+            this.renderReplayIndicator();
+        }
+        
+        // Render checkpoint split against the ghost
+        if (this.splitDisplay && this.state === 'playing') {
+            this.renderSplitDelta();
+        }
+        
+        // Render active power-up timers
+        if ((this.state === 'playing' || this.state === 'paused') && this.player.powerUps.length > 0) {
+            this.renderPowerUpTimers();
+        }
+        
+        // Render boss health or wave progress during an arena fight
+        if (this.state === 'playing' || this.state === 'paused') {
+            if (this.currentLevel.activeArena instanceof Boss) {
+                this.renderBossHealthBar();
+            } else if (this.currentLevel.activeArena instanceof Spawner) {
+                this.renderWaveCounter();
+            }
+        }
+        
         // Render debug info (if enabled)
         if (false) { // Set to true for debugging
             this.renderDebugInfo();
@@ -603,8 +1215,159 @@ class Game {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText('PAUSED', this.canvas.width / 2, this.canvas.height / 2);
         
+        const resumeButton = this.inputManager.getCurrentInputMethod() === 'gamepad' ? 'START' : 'ESC';
         this.ctx.font = '24px Arial';
-        this.ctx.fillText('Press ESC to resume', this.canvas.width / 2, this.canvas.height / 2 + 60);
+        this.ctx.fillText(`Press ${resumeButton} to resume`, this.canvas.width / 2, this.canvas.height / 2 + 60);
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Render the time difference to the ghost at the last checkpoint
+     */
+    renderSplitDelta() {
+        const { delta, timer } = this.splitDisplay;
+        const ahead = delta <= 0;
+        const text = `${ahead ? '-' : '+'}${Math.abs(delta).toFixed(2)}s`;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = Math.min(1, timer / 500); // Fade out at the end
+        this.ctx.font = 'bold 32px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.strokeText(text, this.canvas.width / 2, 60);
+        this.ctx.fillStyle = ahead ? '#44ff44' : '#ff4444';
+        this.ctx.fillText(text, this.canvas.width / 2, 60);
+        this.ctx.restore();
+    }
+
+    /**
+     * Render the active power-ups with their remaining time
+     */
+    renderPowerUpTimers() {
+        const size = 36;
+        const spacing = 8;
+        const y = this.canvas.height - size - 20;
+        
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        this.player.powerUps.forEach((powerUp, index) => {
+            const centerX = 20 + size / 2 + index * (size + spacing);
+            const centerY = y + size / 2;
+            
+            // Background
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, size / 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Remaining time as a shrinking ring, blinking when about to run out
+            const blinking = powerUp.timer < 2000 && Math.floor(powerUp.timer / 200) % 2 === 0;
+            this.ctx.strokeStyle = powerUp.color;
+            this.ctx.globalAlpha = blinking ? 0.4 : 1;
+            this.ctx.lineWidth = 4;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, size / 2 - 2, -Math.PI / 2,
+                -Math.PI / 2 + Math.PI * 2 * powerUp.getRemainingFraction());
+            this.ctx.stroke();
+            this.ctx.globalAlpha = 1;
+            
+            // Icon and seconds left
+            this.ctx.fillStyle = powerUp.color;
+            this.ctx.font = 'bold 14px Arial';
+            this.ctx.fillText(powerUp.icon, centerX, centerY);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = '11px Arial';
+            this.ctx.fillText(`${Math.ceil(powerUp.timer / 1000)}s`, centerX, y - 8);
+        });
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Render the boss's name and health bar, marked at each phase threshold
+     */
+    renderBossHealthBar() {
+        const boss = this.currentLevel.boss;
+        const width = 400;
+        const height = 16;
+        const x = (this.canvas.width - width) / 2;
+        const y = this.canvas.height - 50;
+        const healthRatio = boss.health / boss.maxHealth;
+        
+        this.ctx.save();
+        
+        // Background and remaining health
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x - 4, y - 4, width + 8, height + 8);
+        this.ctx.fillStyle = BOSS_PHASES[boss.phase].color;
+        this.ctx.fillRect(x, y, width * healthRatio, height);
+        
+        // Phase thresholds
+        this.ctx.fillStyle = '#ffffff';
+        for (const phase of BOSS_PHASES.slice(1)) {
+            this.ctx.fillRect(x + width * phase.threshold - 1, y, 2, height);
+        }
+        
+        // Name
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(boss.name, this.canvas.width / 2, y - 10);
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Render which wave of an arena fight is being fought
+     */
+    renderWaveCounter() {
+        const spawner = this.currentLevel.activeArena;
+        const y = this.canvas.height - 40;
+        
+        this.ctx.save();
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(this.canvas.width / 2 - 80, y - 24, 160, 34);
+        
+        this.ctx.fillStyle = '#ff44cc';
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`WAVE ${spawner.getWaveNumber()} / ${spawner.waves.length}`, this.canvas.width / 2, y);
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Render replay indicator with playback progress
+     */
+    renderReplayIndicator() {
+        const progress = this.inputManager.getProgress();
+        const x = this.canvas.width - 170;
+        const y = this.canvas.height - 40;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x, y, 160, 30);
+        
+        this.ctx.fillStyle = '#ff4444';
+        this.ctx.beginPath();
+        this.ctx.arc(x + 15, y + 15, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('REPLAY', x + 28, y + 15);
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.fillRect(x + 90, y + 11, 60, 8);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(x + 90, y + 11, 60 * progress, 8);
         
         this.ctx.restore();
     }
@@ -682,6 +1445,7 @@ class Game {
      */
     getStats() {
         return {
+            seed: this.seed,
             currentLevel: this.currentLevelNumber,
             score: this.score,
             totalScore: this.totalScore,
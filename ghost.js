@@ -0,0 +1,220 @@
+/**
+ * GhostStore - keeps the best completion of each level in localStorage
+ */
+class GhostStore {
+    /**
+     * @param {string} storageKey - Prefix for localStorage keys
+     */
+    constructor(storageKey = 'nivoAdventure.ghost') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Get the storage key for a level
+     * Procedural levels differ per seed, so their ghosts are stored per seed too.
+     * @param {Level} level - Level to get the key for
+     * @returns {string} Storage key
+     */
+    getKey(level) {
+        const id = level.procedural ? `${level.levelNumber}-${level.seed}` : `${level.levelNumber}`;
+        return `${this.storageKey}.${id}`;
+    }
+
+    /**
+     * Load the best ghost for a level
+     * @param {Level} level - Level to load the ghost for
+     * @returns {Object|null} Ghost data, or null if the level hasn't been completed
+     */
+    load(level) {
+        try {
+            const json = localStorage.getItem(this.getKey(level));
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.error('Failed to load ghost:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a completed run if it beats the current best
+     * @param {Level} level - Completed level
+     * @param {Object} ghost - Ghost data of the completed run
+     * @returns {boolean} True if the run is the new best
+     */
+    submit(level, ghost) {
+        const best = this.load(level);
+        if (best && best.frameCount <= ghost.frameCount) return false;
+
+        try {
+            localStorage.setItem(this.getKey(level), JSON.stringify(ghost));
+            return true;
+        } catch (error) {
+            console.error('Failed to save ghost:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * GhostRecorder - samples the player's position during a level attempt
+ */
+class GhostRecorder {
+    /**
+     * @param {number} sampleInterval - Simulation steps between samples
+     */
+    constructor(sampleInterval = 2) {
+        this.sampleInterval = sampleInterval;
+        this.animationNames = Object.keys(new Player(0, 0).animations);
+        this.samples = [];
+        this.splits = {}; // Checkpoint index -> step it was reached on
+        this.frameCount = 0;
+    }
+
+    /**
+     * Record the player for one simulation step
+     * @param {Player} player - Player to sample
+     */
+    record(player) {
+        if (this.frameCount % this.sampleInterval === 0) {
+            this.samples.push([
+                Math.round(player.x),
+                Math.round(player.y),
+                player.facing,
+                this.animationNames.indexOf(player.currentAnimation),
+                player.animationFrame
+            ]);
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Record the step a checkpoint was reached on
+     * @param {number} index - Checkpoint index in the level
+     */
+    recordSplit(index) {
+        if (!(index in this.splits)) {
+            this.splits[index] = this.frameCount;
+        }
+    }
+
+    /**
+     * Get the recording as ghost data
+     * @returns {Object} Ghost data
+     */
+    toJSON() {
+        return {
+            frameCount: this.frameCount,
+            sampleInterval: this.sampleInterval,
+            animations: this.animationNames,
+            splits: { ...this.splits },
+            samples: this.samples
+        };
+    }
+}
+
+/**
+ * Ghost - re-enacts a recorded run alongside live play
+ */
+class Ghost {
+    /**
+     * @param {Object} data - Ghost data from GhostRecorder
+     */
+    constructor(data) {
+        this.data = data;
+        this.frame = 0;
+        this.alpha = 0.35;
+
+        // Stand-in player used to draw the ghost with the regular player sprite
+        this.sprite = new Player(0, 0);
+        this.x = 0;
+        this.y = 0;
+        this.previousX = 0;
+        this.previousY = 0;
+        this.applySample();
+        this.previousX = this.x;
+        this.previousY = this.y;
+    }
+
+    /**
+     * Advance the ghost by one simulation step
+     */
+    update() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+
+        if (this.frame < this.data.frameCount - 1) {
+            this.frame++;
+        }
+
+        this.applySample();
+    }
+
+    /**
+     * Move the ghost to the recorded position for the current step
+     */
+    applySample() {
+        const samples = this.data.samples;
+        const position = this.frame / this.data.sampleInterval;
+        const index = Math.min(Math.floor(position), samples.length - 1);
+        const current = samples[index];
+        const next = samples[Math.min(index + 1, samples.length - 1)];
+        const t = position - index;
+
+        this.x = lerp(current[0], next[0], t);
+        this.y = lerp(current[1], next[1], t);
+        this.sprite.facing = current[2];
+        this.sprite.currentAnimation = this.data.animations[current[3]] || 'idle';
+        this.sprite.animationFrame = current[4];
+    }
+
+    /**
+     * Check if the ghost has finished its run
+     * @returns {boolean} True if the ghost reached the goal
+     */
+    isFinished() {
+        return this.frame >= this.data.frameCount - 1;
+    }
+
+    /**
+     * Get the step the ghost reached a checkpoint on
+     * @param {number} index - Checkpoint index in the level
+     * @returns {number|null} Step, or null if the ghost skipped the checkpoint
+     */
+    getSplit(index) {
+        return index in this.data.splits ? this.data.splits[index] : null;
+    }
+
+    /**
+     * Render the ghost
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} camera - Camera object for offset calculation
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
+     */
+    render(ctx, camera, interpolation = 1) {
+        const screenX = lerp(this.previousX, this.x, interpolation) - camera.x;
+        const screenY = lerp(this.previousY, this.y, interpolation) - camera.y;
+        const width = this.sprite.width;
+
+        // Don't render if off-screen
+        if (screenX + width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.sprite.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
+            return;
+        }
+
+        ctx.save();
+        ctx.globalAlpha = this.alpha;
+
+        // Flip sprite based on facing direction
+        if (this.sprite.facing === -1) {
+            ctx.scale(-1, 1);
+            ctx.translate(-screenX - width, 0);
+        } else {
+            ctx.translate(screenX, 0);
+        }
+
+        this.sprite.drawSimpleSprite(ctx, screenY);
+
+        ctx.restore();
+    }
+}
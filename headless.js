@@ -0,0 +1,377 @@
+/**
+ * Headless simulation harness - runs the game in Node without a browser
+ *
+ * Loads the same scripts as index.html into a sandbox where the DOM, canvas,
+ * audio and storage are stubbed out, then drives Game.update() in fixed steps.
+ * Not loaded by index.html; headless.test.js runs gameplay scenarios with it.
+ *
+ * Example:
+ *   const { HeadlessGame } = require('./headless.js');
+ *   const sim = new HeadlessGame();
+ *   sim.startLevel(1);
+ *   sim.hold('right');
+ *   const steps = sim.stepUntil(() => sim.player.x > 300, 600);
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Create a stand-in for a DOM element (also used for canvas and audio elements)
+ * @param {string} id - Element id or tag name
+ * @param {Object} canvasSize - Width and height reported by canvas elements
+ * @returns {Object} Stub element
+ */
+function createStubElement(id, canvasSize) {
+    const classes = new Set();
+    const element = {
+        id,
+        width: canvasSize.width,
+        height: canvasSize.height,
+        style: {},
+        dataset: {},
+        children: [],
+        textContent: '',
+        innerHTML: '',
+        value: '',
+        volume: 1,
+        currentTime: 0,
+        classList: {
+            add: (name) => classes.add(name),
+            remove: (name) => classes.delete(name),
+            contains: (name) => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            }
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        appendChild(child) {
+            element.children.push(child);
+            return child;
+        },
+        querySelectorAll: () => [],
+        querySelector: () => null,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: canvasSize.width, height: canvasSize.height }),
+        setAttribute() {},
+        removeAttribute() {},
+        focus() {},
+        click() {},
+        remove() {},
+        load() {},
+        pause() {},
+        play: () => Promise.resolve(),
+        getContext: () => createStubContext(element)
+    };
+
+    return element;
+}
+
+/**
+ * Create a canvas 2D context that accepts and ignores every drawing call
+ * @param {Object} canvas - Stub canvas element
+ * @returns {Object} Stub rendering context
+ */
+function createStubContext(canvas) {
+    const gradient = { addColorStop() {} };
+    const state = { canvas };
+
+    return new Proxy(state, {
+        get(target, property) {
+            if (property in target) return target[property];
+
+            switch (property) {
+                case 'createLinearGradient':
+                case 'createRadialGradient':
+                case 'createPattern':
+                    return () => gradient;
+                case 'measureText':
+                    return (text) => ({ width: String(text).length * 8 });
+                case 'getImageData':
+                    return () => ({ data: [] });
+                default:
+                    return () => {};
+            }
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Create an in-memory replacement for localStorage
+ * @param {Object} initialData - Initial key/value pairs
+ * @returns {Object} Storage object
+ */
+function createMemoryStorage(initialData = {}) {
+    const data = new Map(Object.entries(initialData));
+
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key),
+        clear: () => data.clear(),
+        key: (index) => Array.from(data.keys())[index] || null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+/**
+ * Get the game scripts in the order index.html loads them (main.js excluded)
+ * @param {string} root - Directory containing index.html
+ * @returns {Array} Absolute script paths
+ */
+function getGameScripts(root) {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const sources = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+
+    return sources
+        .filter(source => path.basename(source) !== 'main.js')
+        .map(source => {
+            const scriptPath = path.join(root, source);
+            return fs.existsSync(scriptPath) ? scriptPath : path.join(root, path.basename(source));
+        });
+}
+
+/**
+ * HeadlessGame - a Game instance running in a sandbox, stepped manually
+ */
+class HeadlessGame {
+    /**
+     * @param {Object} options - Harness options
+     * @param {string} options.root - Directory containing index.html and the scripts
+     * @param {boolean} options.quiet - Silence console.log/info/warn from the game
+     * @param {Object} options.storage - Initial localStorage contents
+     * @param {number} options.width - Canvas width
+     * @param {number} options.height - Canvas height
+     */
+    constructor(options = {}) {
+        const {
+            root = __dirname,
+            quiet = true,
+            storage = {},
+            width = 1024,
+            height = 576
+        } = options;
+
+        this.time = 0; // Simulated clock in milliseconds
+        this.steps = 0;
+        this.storage = createMemoryStorage(storage);
+        this.context = this.createContext({ width, height }, quiet);
+
+        for (const script of getGameScripts(root)) {
+            vm.runInContext(fs.readFileSync(script, 'utf8'), this.context, { filename: script });
+        }
+
+        this.evaluate('audioManager').enabled = false;
+
+        // The game loop never runs; steps are driven by step()
+        this.game = this.evaluate('new Game()');
+        this.game.stopGameLoop();
+    }
+
+    /**
+     * Create the sandbox globals
+     * @param {Object} canvasSize - Canvas width and height
+     * @param {boolean} quiet - Silence non-error console output
+     * @returns {Object} vm context
+     */
+    createContext(canvasSize, quiet) {
+        const elements = new Map();
+        const getElement = (id) => {
+            if (!elements.has(id)) {
+                elements.set(id, createStubElement(id, canvasSize));
+            }
+            return elements.get(id);
+        };
+
+        const noop = () => {};
+        const sandboxConsole = quiet ?
+            { log: noop, info: noop, warn: noop, debug: noop, error: console.error } :
+            console;
+
+        const sandbox = {
+            console: sandboxConsole,
+            document: {
+                getElementById: getElement,
+                createElement: (tag) => createStubElement(tag, canvasSize),
+                querySelectorAll: () => [],
+                querySelector: () => null,
+                addEventListener: noop,
+                removeEventListener: noop,
+                body: getElement('body'),
+                hidden: false
+            },
+            window: {
+                addEventListener: noop,
+                removeEventListener: noop,
+                innerWidth: canvasSize.width,
+                innerHeight: canvasSize.height,
+                location: { hostname: 'headless', protocol: 'file:' }
+            },
+            navigator: { maxTouchPoints: 0, getGamepads: () => [] },
+            performance: { now: () => this.time },
+            localStorage: this.storage,
+            Audio: function() {
+                return createStubElement('audio', canvasSize);
+            },
+            Blob: function() {},
+            URL: { createObjectURL: () => '', revokeObjectURL: noop },
+            requestAnimationFrame: () => 0,
+            cancelAnimationFrame: noop,
+            setTimeout,
+            clearTimeout,
+            alert: (message) => sandboxConsole.warn(message)
+        };
+        sandbox.window.localStorage = sandbox.localStorage;
+
+        return vm.createContext(sandbox);
+    }
+
+    /**
+     * Evaluate an expression inside the sandbox (e.g. to reach a class)
+     * @param {string} code - Code to evaluate
+     * @returns {*} Result
+     */
+    evaluate(code) {
+        return vm.runInContext(code, this.context);
+    }
+
+    /**
+     * Get the player
+     * @returns {Player} Player instance
+     */
+    get player() {
+        return this.game.player;
+    }
+
+    /**
+     * Get the current level
+     * @returns {Level} Level instance
+     */
+    get level() {
+        return this.game.currentLevel;
+    }
+
+    /**
+     * Start a new run
+     * @param {number|null} seed - Run seed (random if null)
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    startGame(seed = null) {
+        this.game.startGame(seed);
+        return this;
+    }
+
+    /**
+     * Start a run directly on a given level
+     * @param {number} levelNumber - Level to play
+     * @param {number|null} seed - Run seed (random if null)
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    startLevel(levelNumber, seed = null) {
+        this.game.startGame(seed);
+
+        if (levelNumber !== this.game.currentLevelNumber) {
+            this.game.currentLevelNumber = levelNumber;
+            this.game.loadLevel(levelNumber);
+            this.player.reset(this.level.playerStartX, this.level.playerStartY);
+            this.game.startRecording();
+        }
+
+        return this;
+    }
+
+    /**
+     * Hold actions down until released
+     * @param {...string} actions - Action names (e.g. 'left', 'right', 'jump')
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    hold(...actions) {
+        for (const action of actions) {
+            this.game.inputManager.keys[action] = true;
+        }
+        return this;
+    }
+
+    /**
+     * Release held actions
+     * @param {...string} actions - Action names (all actions if none are given)
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    release(...actions) {
+        if (actions.length === 0) {
+            this.game.inputManager.keys = {};
+        }
+        for (const action of actions) {
+            this.game.inputManager.keys[action] = false;
+        }
+        return this;
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} count - Number of fixed steps
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    step(count = 1) {
+        const timeStep = this.evaluate('FIXED_TIMESTEP');
+
+        for (let i = 0; i < count; i++) {
+            this.time += timeStep;
+            this.steps++;
+            this.game.update(timeStep);
+        }
+
+        return this;
+    }
+
+    /**
+     * Advance the simulation until a condition holds
+     * @param {Function} predicate - Condition checked after every step
+     * @param {number} maxSteps - Give up after this many steps
+     * @returns {number} Steps taken, or -1 if the condition never held
+     */
+    stepUntil(predicate, maxSteps = 3600) {
+        for (let i = 1; i <= maxSteps; i++) {
+            this.step();
+            if (predicate(this)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Play back a replay to the end
+     * @param {Object|string} replay - Replay data or its JSON string
+     * @param {number} maxSteps - Safety limit on steps
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    playReplay(replay, maxSteps = 216000) {
+        this.game.startReplay(replay);
+        this.stepUntil(() => !this.game.replaying, maxSteps);
+        return this;
+    }
+
+    /**
+     * Render a frame against the stub canvas (exercises the render code paths)
+     * @returns {HeadlessGame} This harness, for chaining
+     */
+    render() {
+        this.game.render();
+        return this;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessGame, getGameScripts };
+}
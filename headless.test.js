@@ -0,0 +1,253 @@
+/**
+ * Automated gameplay scenarios, run against the headless simulation harness
+ *
+ * Usage:
+ *   node headless.test.js
+ *
+ * Each scenario drives a fresh HeadlessGame and throws if the game doesn't behave as
+ * expected. The process exits with a non-zero code if any scenario fails.
+ */
+const assert = require('assert');
+const { HeadlessGame } = require('./headless.js');
+
+const scenarios = [];
+
+/**
+ * Register a scenario
+ * @param {string} name - What the scenario checks
+ * @param {Function} run - Runs the scenario, throwing on failure
+ */
+function scenario(name, run) {
+    scenarios.push({ name, run });
+}
+
+scenario('player spawned at level 1 start and holding right reaches the first gap', () => {
+    const sim = new HeadlessGame();
+    sim.startLevel(1, 1);
+
+    const startPlatform = sim.level.platforms[0];
+    assert.ok(sim.player.x >= startPlatform.x && sim.player.x < startPlatform.x + startPlatform.width,
+        'player should spawn above the first platform');
+
+    sim.hold('right');
+    const steps = sim.stepUntil(() => sim.player.x > startPlatform.x + startPlatform.width, 600);
+
+    assert.notStrictEqual(steps, -1, 'player should reach the end of the first platform within 10 seconds');
+    assert.strictEqual(sim.game.state, 'playing');
+    assert.ok(!sim.player.isDead(), 'player should still be alive');
+});
+
+scenario('pausing during replay playback still reproduces the recorded run', () => {
+    const sim = new HeadlessGame();
+    sim.startLevel(1, 1);
+    sim.hold('right').step(40);
+    sim.hold('jump').step(20);
+    sim.release('jump').step(60);
+    const replay = sim.game.getReplay();
+
+    const playback = new HeadlessGame();
+    playback.game.startReplay(replay);
+    playback.step(50);
+    playback.game.pauseGame();
+    playback.step(90);
+    playback.game.resumeGame();
+    playback.stepUntil(() => !playback.game.replaying, 1000);
+
+    assert.strictEqual(playback.player.x, sim.player.x, 'replayed x position should match the recording');
+    assert.strictEqual(playback.player.y, sim.player.y, 'replayed y position should match the recording');
+});
+
+scenario('procedural levels can be traversed from spawn to goal across many seeds', () => {
+    const sim = new HeadlessGame();
+    const Level = sim.evaluate('Level');
+    const validator = new (sim.evaluate('ReachabilityValidator'))();
+
+    for (let levelNumber = 6; levelNumber <= 12; levelNumber++) {
+        for (let seed = 1; seed <= 20; seed++) {
+            const level = new Level(levelNumber, 1024, 576, { seed });
+            assert.ok(validator.validate(level).traversable,
+                `level ${levelNumber} with seed ${seed} should be traversable`);
+        }
+    }
+});
+
+/**
+ * Start level 1 with its layout swapped for the given platforms, so a scenario can set up
+ * exactly the geometry it tests
+ * @param {HeadlessGame} sim - Harness to set up
+ * @param {Array} platforms - Platform constructor arguments ([x, y, width, height, type])
+ * @returns {Array} The platforms placed in the level
+ */
+function useTestPlatforms(sim, platforms) {
+    sim.startLevel(1, 1);
+    const Platform = sim.evaluate('Platform');
+    const level = sim.level;
+
+    level.platforms = platforms.map(args => new Platform(...args));
+    level.enemies = [];
+    level.spawners = [];
+    level.collectibles = [];
+    level.checkpoints = [];
+
+    return level.platforms;
+}
+
+/**
+ * Height of the player's feet
+ * @param {HeadlessGame} sim - Harness to read from
+ * @returns {number} Bottom edge of the player
+ */
+function feet(sim) {
+    return sim.player.y + sim.player.height;
+}
+
+scenario('a level saved with toJSON loads back identically with fromJSON', () => {
+    const sim = new HeadlessGame();
+    const Level = sim.evaluate('Level');
+
+    for (const [levelNumber, seed] of [[1, 1], [3, 1], [5, 1], [8, 42]]) {
+        const level = new Level(levelNumber, 1024, 576, { seed });
+        const data = level.toJSON();
+        const copy = Level.fromJSON(JSON.stringify(data), 1024, 576);
+
+        assert.deepStrictEqual(copy.toJSON(), data, `level ${levelNumber} should survive a JSON round trip`);
+    }
+});
+
+scenario('a one-way platform can be stood on and dropped through with down+jump', () => {
+    const sim = new HeadlessGame();
+    const [floor, ledge] = useTestPlatforms(sim, [[0, 600, 1000, 40], [400, 480, 200, 20, 'oneWay']]);
+
+    sim.player.reset(470, 400);
+    sim.step(40);
+    assert.strictEqual(feet(sim), ledge.y, 'player should land on top of the one-way platform');
+    assert.strictEqual(sim.player.groundPlatform, ledge);
+
+    sim.hold('down').step(5);
+    sim.hold('jump').step(2);
+    sim.release().step(60);
+    assert.strictEqual(feet(sim), floor.y, 'player should drop through onto the floor below');
+});
+
+scenario('a bouncy platform launches the player and a crumbled platform is fallen through', () => {
+    const sim = new HeadlessGame();
+    const [, bouncy] = useTestPlatforms(sim, [[0, 600, 1000, 40], [100, 500, 150, 20, 'bouncy']]);
+
+    sim.player.reset(150, 300);
+    const steps = sim.stepUntil(() => sim.player.velocityY < -10, 120);
+    assert.notStrictEqual(steps, -1, 'landing on the bouncy platform should launch the player upwards');
+    assert.ok(feet(sim) <= bouncy.y, 'player should be launched from the top of the platform');
+
+    const [floor, crumbling] = useTestPlatforms(sim, [[0, 600, 1000, 40], [400, 480, 200, 20, 'crumbling']]);
+
+    sim.player.reset(470, 400);
+    sim.step(30);
+    assert.strictEqual(feet(sim), crumbling.y, 'player should stand on the crumbling platform at first');
+
+    sim.stepUntil(() => crumbling.isCrumbling, 120);
+    assert.ok(crumbling.isCrumbling, 'platform should crumble after being stood on');
+    sim.step(60);
+    assert.strictEqual(feet(sim), floor.y, 'player should fall through the crumbled platform');
+});
+
+scenario('jumping just after running off a ledge or just before landing still jumps', () => {
+    const sim = new HeadlessGame();
+    const [ledge, floor] = useTestPlatforms(sim, [[0, 400, 300, 20], [0, 600, 1000, 40]]);
+
+    // Coyote time: the jump is pressed a few frames after the ledge is left
+    sim.player.reset(200, 300);
+    sim.stepUntil(() => sim.player.groundPlatform === ledge, 60);
+    sim.hold('right');
+    sim.stepUntil(() => sim.player.groundPlatform !== ledge, 120);
+    assert.ok(sim.player.x > ledge.x + ledge.width - sim.player.width, 'player should have run off the ledge');
+    sim.step(3);
+    sim.hold('jump').step();
+    assert.ok(sim.player.velocityY < 0, 'jump should still work shortly after leaving the ledge');
+    sim.release().step(90);
+
+    // Jump buffer: the jump is pressed a few frames before touching the floor
+    assert.strictEqual(feet(sim), floor.y, 'player should be back on the floor');
+    sim.player.reset(600, 400);
+    sim.stepUntil(() => feet(sim) > floor.y - 15, 120);
+    assert.ok(sim.player.velocityY > 0 && feet(sim) < floor.y, 'player should still be falling when jump is pressed');
+    sim.hold('jump');
+    const steps = sim.stepUntil(() => sim.player.velocityY < 0, 10);
+    assert.notStrictEqual(steps, -1, 'jump pressed just before landing should fire on landing');
+});
+
+scenario('sliding down a wall and pressing jump kicks the player off it', () => {
+    const sim = new HeadlessGame();
+    const [, wall] = useTestPlatforms(sim, [[0, 600, 1000, 40], [500, 200, 40, 400]]);
+
+    sim.player.reset(420, 300);
+    sim.hold('right');
+    const steps = sim.stepUntil(() => sim.player.isWallSliding, 120);
+    assert.notStrictEqual(steps, -1, 'player should slide down the wall while pushing into it');
+
+    sim.hold('jump').step();
+    assert.ok(sim.player.velocityY < 0, 'wall jump should launch the player upwards');
+    assert.ok(sim.player.velocityX < 0, 'wall jump should push the player away from the wall');
+    sim.step(10);
+    assert.ok(sim.player.x + sim.player.width < wall.x, 'player should move away from the wall');
+});
+
+scenario('a game saved to a slot loads back with the same progress', () => {
+    const sim = new HeadlessGame();
+    sim.startLevel(2, 7);
+    sim.game.saveSlot = 1;
+    sim.game.score = 350;
+    sim.game.lives = 2;
+    assert.ok(sim.game.saveGame(), 'game should save to the slot');
+
+    // Load it in a fresh game sharing the same storage, as after reopening the page
+    const storage = {};
+    for (let i = 0; i < sim.storage.length; i++) {
+        const key = sim.storage.key(i);
+        storage[key] = sim.storage.getItem(key);
+    }
+    const loaded = new HeadlessGame({ storage });
+    assert.ok(loaded.game.loadGame(1), 'saved slot should load');
+
+    assert.strictEqual(loaded.game.state, 'playing');
+    assert.strictEqual(loaded.game.currentLevelNumber, 2);
+    assert.strictEqual(loaded.game.seed, 7);
+    assert.strictEqual(loaded.game.score, 350);
+    assert.strictEqual(loaded.game.lives, 2);
+    assert.strictEqual(loaded.player.x, loaded.level.playerStartX, 'player should resume at the level start');
+});
+
+scenario('enemies that jump differently plan routes on their own navigation graphs', () => {
+    const sim = new HeadlessGame();
+    const [floor, ledge] = useTestPlatforms(sim, [[0, 600, 1000, 40], [400, 520, 200, 20]]);
+    const Enemy = sim.evaluate('Enemy');
+
+    const jumper = new Enemy(100, 568, 'chase');
+    const weakJumper = new Enemy(150, 568, 'chase');
+    weakJumper.jumpPower = 8;
+    sim.level.enemies = [jumper, weakJumper];
+
+    const navigation = sim.level.getNavigation(jumper);
+    const weakNavigation = sim.level.getNavigation(weakJumper);
+    assert.notStrictEqual(navigation, weakNavigation, 'different jump powers should get separate graphs');
+    assert.strictEqual(sim.level.getNavigation(new Enemy(0, 0, 'patrol')), navigation,
+        'enemies that move the same way should share a graph');
+
+    assert.ok(navigation.findPath(floor, ledge), 'the ledge should be in jumping range of a normal enemy');
+    assert.strictEqual(weakNavigation.findPath(floor, ledge), null, 'the ledge should be too high for the weak jumper');
+});
+
+let failures = 0;
+
+for (const { name, run } of scenarios) {
+    try {
+        run();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok - ${name}`);
+        console.log(`    ${error.message}`);
+    }
+}
+
+console.log(`${scenarios.length - failures}/${scenarios.length} scenarios passed`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -1,5 +1,5 @@
 /**
- * Input Manager - handles keyboard, mouse, and touch input
+ * Input Manager - handles keyboard, mouse, touch, and gamepad input
  */
 class InputManager {
     constructor() {
@@ -16,19 +16,52 @@ class InputManager {
         this.mobileControls = {
             left: false,
             right: false,
-            jump: false
+            down: false,
+            jump: false,
+            dash: false,
+            attack: false,
+            throw: false
         };
         
-        // Input mapping
-        this.keyMap = {
+        // Gamepad states (polled each update, kept apart from keyboard state)
+        this.gamepadIndex = null; // Index of the gamepad in use
+        this.gamepadActions = {};
+        this.previousGamepadActions = {};
+        this.gamepadDeadzone = 0.25; // Analog stick values below this are ignored
+        this.lastInputMethod = 'mouse';
+        
+        // Gamepad mapping (standard layout button indices)
+        this.gamepadButtonMap = {
+            left: [14], // D-pad left
+            right: [15], // D-pad right
+            down: [13], // D-pad down
+            jump: [0, 1, 3, 12], // A, B, Y, D-pad up
+            attack: [2], // X
+            dash: [4, 5], // Shoulder buttons
+            throw: [6, 7], // Triggers
+            pause: [9] // Start
+        };
+        this.gamepadHorizontalAxis = 0; // Left stick X
+        this.gamepadVerticalAxis = 1; // Left stick Y (pushing down is positive)
+        
+        // Default input mapping
+        this.defaultKeyMap = {
             // Movement keys
             'ArrowLeft': 'left',
             'KeyA': 'left',
             'ArrowRight': 'right',
             'KeyD': 'right',
+            'ArrowDown': 'down',
+            'KeyS': 'down',
             'ArrowUp': 'jump',
             'KeyW': 'jump',
             'Space': 'jump',
+            'ShiftLeft': 'dash',
+            'ShiftRight': 'dash',
+            'KeyJ': 'attack',
+            'KeyX': 'attack',
+            'KeyK': 'throw',
+            'KeyC': 'throw',
             
             // Menu/UI keys
             'Enter': 'confirm',
@@ -36,6 +69,24 @@ class InputManager {
             'KeyR': 'restart'
         };
         
+        // Actions players can rebind, in the order the controls screen lists them
+        this.bindableActions = [
+            { action: 'left', label: 'Move Left' },
+            { action: 'right', label: 'Move Right' },
+            { action: 'down', label: 'Drop Down' },
+            { action: 'jump', label: 'Jump' },
+            { action: 'dash', label: 'Dash' },
+            { action: 'attack', label: 'Attack' },
+            { action: 'throw', label: 'Throw' },
+            { action: 'pause', label: 'Pause' },
+            { action: 'restart', label: 'Restart' }
+        ];
+        
+        // Input mapping (restored from storage if the player changed it)
+        this.bindingsStorageKey = 'nivoAdventure.keyBindings';
+        this.keyMap = { ...this.defaultKeyMap };
+        this.loadKeyBindings();
+        
         this.setupEventListeners();
         this.setupMobileControls();
     }
@@ -61,6 +112,15 @@ class InputManager {
         // Prevent context menu on touch devices
         window.addEventListener('contextmenu', (e) => e.preventDefault());
         
+        // Gamepad hot-plugging
+        this.gamepadListeners = {
+            gamepadconnected: (e) => this.handleGamepadConnected(e),
+            gamepaddisconnected: (e) => this.handleGamepadDisconnected(e)
+        };
+        for (const [type, listener] of Object.entries(this.gamepadListeners)) {
+            window.addEventListener(type, listener);
+        }
+        
         // Prevent default behavior for game keys
         window.addEventListener('keydown', (e) => {
             if (this.keyMap[e.code] || e.code === 'Space') {
@@ -76,7 +136,11 @@ class InputManager {
         // Get mobile control elements
         const leftBtn = document.getElementById('leftBtn');
         const rightBtn = document.getElementById('rightBtn');
+        const downBtn = document.getElementById('downBtn');
         const jumpBtn = document.getElementById('jumpBtn');
+        const dashBtn = document.getElementById('dashBtn');
+        const attackBtn = document.getElementById('attackBtn');
+        const throwBtn = document.getElementById('throwBtn');
         
         if (!leftBtn || !rightBtn || !jumpBtn) return;
         
@@ -86,8 +150,28 @@ class InputManager {
         // Right button  
         this.setupMobileButton(rightBtn, 'right');
         
+        // Down button (held with jump to drop through one-way platforms)
+        if (downBtn) {
+            this.setupMobileButton(downBtn, 'down');
+        }
+        
         // Jump button
         this.setupMobileButton(jumpBtn, 'jump');
+        
+        // Dash button
+        if (dashBtn) {
+            this.setupMobileButton(dashBtn, 'dash');
+        }
+        
+        // Attack button
+        if (attackBtn) {
+            this.setupMobileButton(attackBtn, 'attack');
+        }
+        
+        // Throw button
+        if (throwBtn) {
+            this.setupMobileButton(throwBtn, 'throw');
+        }
     }
 
     /**
@@ -136,6 +220,7 @@ class InputManager {
         const action = this.keyMap[event.code];
         if (action) {
             this.keys[action] = true;
+            this.lastInputMethod = 'keyboard';
         }
     }
 
@@ -188,6 +273,7 @@ class InputManager {
     handleTouchStart(event) {
         event.preventDefault();
         this.touchActive = true;
+        this.lastInputMethod = 'touch';
         this.touches = Array.from(event.touches);
         
         // Handle swipe gestures for movement
@@ -270,9 +356,114 @@ class InputManager {
             this.keys.right = false;
         }
         
+        if (!this.mobileControls.down) {
+            this.keys.down = false;
+        }
+        
         if (!this.mobileControls.jump) {
             this.keys.jump = false;
         }
+        
+        if (!this.mobileControls.dash) {
+            this.keys.dash = false;
+        }
+        
+        if (!this.mobileControls.attack) {
+            this.keys.attack = false;
+        }
+        
+        if (!this.mobileControls.throw) {
+            this.keys.throw = false;
+        }
+    }
+
+    /**
+     * Handle a gamepad being connected
+     * @param {GamepadEvent} event - Gamepad event
+     */
+    handleGamepadConnected(event) {
+        console.log(`Gamepad connected: ${event.gamepad.id}`);
+        
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = event.gamepad.index;
+        }
+    }
+
+    /**
+     * Handle a gamepad being disconnected
+     * @param {GamepadEvent} event - Gamepad event
+     */
+    handleGamepadDisconnected(event) {
+        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+        
+        if (this.gamepadIndex === event.gamepad.index) {
+            // Release everything and pick up another pad on the next poll
+            this.gamepadIndex = null;
+            this.gamepadActions = {};
+        }
+    }
+
+    /**
+     * Get the gamepad in use, falling back to the first connected one
+     * @returns {Gamepad|null} Gamepad, or null if none is connected
+     */
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+        
+        const gamepads = Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+        const gamepad = gamepads.find(pad => pad.index === this.gamepadIndex) || gamepads[0] || null;
+        
+        this.gamepadIndex = gamepad ? gamepad.index : null;
+        return gamepad;
+    }
+
+    /**
+     * Poll the gamepad and map its buttons and stick to actions
+     */
+    pollGamepad() {
+        this.previousGamepadActions = this.gamepadActions;
+        this.gamepadActions = {};
+        
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+        
+        // Buttons
+        for (const [action, buttons] of Object.entries(this.gamepadButtonMap)) {
+            this.gamepadActions[action] = buttons.some(index => {
+                const button = gamepad.buttons[index];
+                return button && (button.pressed || button.value > 0.5);
+            });
+        }
+        
+        // Analog stick
+        const horizontal = gamepad.axes[this.gamepadHorizontalAxis] || 0;
+        if (Math.abs(horizontal) > this.gamepadDeadzone) {
+            this.gamepadActions[horizontal < 0 ? 'left' : 'right'] = true;
+        }
+        const vertical = gamepad.axes[this.gamepadVerticalAxis] || 0;
+        if (vertical > this.gamepadDeadzone) {
+            this.gamepadActions.down = true;
+        }
+        
+        if (Object.values(this.gamepadActions).some(v => v)) {
+            this.lastInputMethod = 'gamepad';
+        }
+    }
+
+    /**
+     * Set the analog stick deadzone
+     * @param {number} deadzone - Deadzone (0-0.95)
+     */
+    setGamepadDeadzone(deadzone) {
+        this.gamepadDeadzone = clamp(deadzone, 0, 0.95);
+    }
+
+    /**
+     * Check if a gamepad is connected
+     * @returns {boolean} True if a gamepad is connected
+     */
+    isGamepadConnected() {
+        return this.gamepadIndex !== null;
     }
 
     /**
@@ -285,7 +476,13 @@ class InputManager {
         // Merge mobile controls with keyboard input
         this.keys.left = this.keys.left || this.mobileControls.left;
         this.keys.right = this.keys.right || this.mobileControls.right;
+        this.keys.down = this.keys.down || this.mobileControls.down;
         this.keys.jump = this.keys.jump || this.mobileControls.jump;
+        this.keys.dash = this.keys.dash || this.mobileControls.dash;
+        this.keys.attack = this.keys.attack || this.mobileControls.attack;
+        this.keys.throw = this.keys.throw || this.mobileControls.throw;
+        
+        this.pollGamepad();
     }
 
     /**
@@ -294,7 +491,7 @@ class InputManager {
      * @returns {boolean} True if key is pressed
      */
     isPressed(action) {
-        return !!this.keys[action];
+        return !!this.keys[action] || !!this.gamepadActions[action];
     }
 
     /**
@@ -303,7 +500,8 @@ class InputManager {
      * @returns {boolean} True if key was just pressed
      */
     isJustPressed(action) {
-        return !!this.keys[action] && !this.previousKeys[action];
+        const wasPressed = !!this.previousKeys[action] || !!this.previousGamepadActions[action];
+        return this.isPressed(action) && !wasPressed;
     }
 
     /**
@@ -312,7 +510,8 @@ class InputManager {
      * @returns {boolean} True if key was just released
      */
     isJustReleased(action) {
-        return !this.keys[action] && !!this.previousKeys[action];
+        const wasPressed = !!this.previousKeys[action] || !!this.previousGamepadActions[action];
+        return !this.isPressed(action) && wasPressed;
     }
 
     /**
@@ -384,10 +583,16 @@ class InputManager {
         this.mobileControls = {
             left: false,
             right: false,
-            jump: false
+            down: false,
+            jump: false,
+            dash: false,
+            attack: false,
+            throw: false
         };
         this.touchActive = false;
         this.touches = [];
+        this.gamepadActions = {};
+        this.previousGamepadActions = {};
         
         // Remove active states from mobile buttons
         const buttons = document.querySelectorAll('.control-btn');
@@ -419,6 +624,91 @@ class InputManager {
         return { ...this.keyMap };
     }
 
+    /**
+     * Get the action bound to a key
+     * @param {string} key - Key code
+     * @returns {string|undefined} Action name
+     */
+    getAction(key) {
+        return this.keyMap[key];
+    }
+
+    /**
+     * Get all keys bound to an action
+     * @param {string} action - Action name
+     * @returns {Array} Key codes
+     */
+    getKeysForAction(action) {
+        return Object.keys(this.keyMap).filter(key => this.keyMap[key] === action);
+    }
+
+    /**
+     * Remove every key bound to an action
+     * @param {string} action - Action name
+     */
+    clearActionBindings(action) {
+        for (const key of this.getKeysForAction(action)) {
+            this.removeKeyBinding(key);
+        }
+        this.keys[action] = false;
+    }
+
+    /**
+     * Restore the default key bindings
+     */
+    resetKeyBindings() {
+        this.keyMap = { ...this.defaultKeyMap };
+        this.keys = {};
+        this.saveKeyBindings();
+    }
+
+    /**
+     * Save the key bindings to localStorage
+     */
+    saveKeyBindings() {
+        try {
+            localStorage.setItem(this.bindingsStorageKey, JSON.stringify({
+                keyMap: this.keyMap,
+                actions: Array.from(new Set(Object.values(this.defaultKeyMap)))
+            }));
+        } catch (error) {
+            console.error('Failed to save key bindings:', error);
+        }
+    }
+
+    /**
+     * Restore key bindings saved in localStorage
+     */
+    loadKeyBindings() {
+        try {
+            const json = localStorage.getItem(this.bindingsStorageKey);
+            if (!json) return;
+            
+            const saved = JSON.parse(json);
+            const savedActions = new Set(saved.actions);
+            const knownActions = new Set(Object.values(this.defaultKeyMap));
+            const keyMap = {};
+            
+            // Ignore bindings for actions that no longer exist
+            for (const [key, action] of Object.entries(saved.keyMap)) {
+                if (knownActions.has(action)) {
+                    keyMap[key] = action;
+                }
+            }
+            
+            // Actions added since the bindings were saved get their default keys
+            for (const [key, action] of Object.entries(this.defaultKeyMap)) {
+                if (!savedActions.has(action) && !(key in keyMap)) {
+                    keyMap[key] = action;
+                }
+            }
+            
+            this.keyMap = keyMap;
+        } catch (error) {
+            console.error('Failed to load key bindings:', error);
+        }
+    }
+
     /**
      * Check if device supports touch
      * @returns {boolean} True if touch is supported
@@ -429,23 +719,44 @@ class InputManager {
 
     /**
      * Get input method being used
-     * @returns {string} Input method ('keyboard', 'touch', 'mouse')
+     * An idle gamepad stays the current method so prompts don't flicker.
+     * @returns {string} Input method ('keyboard', 'touch', 'gamepad', 'mouse')
      */
     getCurrentInputMethod() {
         if (this.touchActive || Object.values(this.mobileControls).some(v => v)) {
             return 'touch';
+        } else if (Object.values(this.gamepadActions).some(v => v)) {
+            return 'gamepad';
         } else if (Object.values(this.keys).some(v => v)) {
             return 'keyboard';
+        } else if (this.lastInputMethod === 'gamepad' && this.isGamepadConnected()) {
+            return 'gamepad';
         } else {
             return 'mouse';
         }
     }
 
     /**
-     * Vibrate device (if supported)
+     * Vibrate device or gamepad (if supported)
      * @param {number|Array} pattern - Vibration pattern in milliseconds
      */
     vibrate(pattern = 100) {
+        if (this.getCurrentInputMethod() === 'gamepad') {
+            const gamepad = this.getGamepad();
+            if (gamepad && gamepad.vibrationActuator) {
+                const duration = Array.isArray(pattern) ? pattern[0] : pattern;
+                gamepad.vibrationActuator.playEffect('dual-rumble', {
+                    duration,
+                    strongMagnitude: 0.6,
+                    weakMagnitude: 0.4
+                }).catch(error => {
+                    // Rejected when the effect isn't supported or the page isn't focused
+                    console.warn('Could not vibrate gamepad:', error);
+                });
+            }
+            return;
+        }
+        
         if (navigator.vibrate) {
             navigator.vibrate(pattern);
         }
@@ -465,5 +776,9 @@ class InputManager {
         window.removeEventListener('touchmove', this.handleTouchMove);
         window.removeEventListener('touchend', this.handleTouchEnd);
         window.removeEventListener('contextmenu', (e) => e.preventDefault());
+        
+        for (const [type, listener] of Object.entries(this.gamepadListeners)) {
+            window.removeEventListener(type, listener);
+        }
     }
 }
@@ -1,12 +1,30 @@
+/**
+ * Current version of the JSON level format produced by Level.toJSON()
+ */
+const LEVEL_FORMAT_VERSION = 1;
+
 /**
  * Level class - manages level data, layout, and progression
  */
 class Level {
-    constructor(levelNumber, canvasWidth, canvasHeight) {
+    /**
+     * @param {number} levelNumber - Level number
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {Object} options - Optional settings
+     * @param {Object} options.data - Level data (see Level.fromJSON) to build from instead of generating
+     * @param {number} options.seed - Seed for procedural generation (random if omitted)
+     */
+    constructor(levelNumber, canvasWidth, canvasHeight, options = {}) {
         this.levelNumber = levelNumber;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
+        // Seeded random numbers so generated layouts can be reproduced
+        this.rng = new SeededRandom(options.seed !== undefined ? options.seed : null);
+        this.seed = this.rng.seed;
+        this.procedural = false; // Whether the layout depends on the seed
+        
         // Level boundaries
         this.width = 2000; // Default level width
         this.height = 1000; // Default level height
@@ -16,6 +34,11 @@ class Level {
         this.enemies = [];
         this.collectibles = [];
         this.checkpoints = [];
+        this.spawners = [];
+        
+        // Projectile pool (inactive projectiles are reused)
+        this.projectiles = [];
+        this.maxProjectiles = 64;
         
         // Level properties
         this.playerStartX = 50;
@@ -30,10 +53,107 @@ class Level {
         // Level completion
         this.completed = false;
         this.timeLimit = null; // Optional time limit in milliseconds
-        this.startTime = 0;
+        this.unlocks = []; // Player abilities unlocked by completing the level
+        this.elapsedTime = 0; // Simulated time spent in the level
+        
+        // Build level content from data, or generate it
+        if (options.data) {
+            this.loadData(options.data);
+        } else {
+            this.generateLevel();
+        }
+        
+        // Arena encounters: the boss and wave fights (the goal stays locked until they're all won)
+        this.boss = this.enemies.find(enemy => enemy instanceof Boss) || null;
+        this.activeArena = null; // Boss or spawner whose arena the player is shut in
         
-        // Generate level content
-        this.generateLevel();
+        // Platform graphs enemies use to chase the player, one per set of movement capabilities
+        // (rebuilt as platforms change)
+        this.navigationGraphs = new Map();
+    }
+
+    /**
+     * Create a level from JSON level data
+     * @param {Object|string} data - Level data object or JSON string
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @returns {Level} New level instance
+     */
+    static fromJSON(data, canvasWidth, canvasHeight) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        
+        return new Level(data.levelNumber || 1, canvasWidth, canvasHeight, { data });
+    }
+
+    /**
+     * Load a level from a JSON file
+     * @param {string} url - URL of the level file
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @returns {Promise<Level>} Loaded level
+     */
+    static async load(url, canvasWidth, canvasHeight) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load level file ${url} (${response.status})`);
+        }
+        
+        return Level.fromJSON(await response.json(), canvasWidth, canvasHeight);
+    }
+
+    /**
+     * Populate the level from level data
+     * @param {Object} data - Level data in the JSON level format
+     */
+    loadData(data) {
+        if (data.version !== LEVEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported level format version: ${data.version}`);
+        }
+        
+        // Dimensions and properties
+        this.width = data.width;
+        this.height = data.height;
+        this.theme = data.theme || this.theme;
+        this.timeLimit = data.timeLimit || null;
+        this.unlocks = [...(data.unlocks || [])];
+        
+        // Start and goal
+        this.playerStartX = data.playerStart.x;
+        this.playerStartY = data.playerStart.y;
+        this.goalX = data.goal.x;
+        this.goalY = data.goal.y;
+        
+        // Game objects
+        this.platforms = (data.platforms || []).map(p => Platform.fromJSON(p));
+        this.enemies = (data.enemies || []).map(e => e.type === 'boss' ? Boss.fromJSON(e) : Enemy.fromJSON(e));
+        this.collectibles = (data.collectibles || []).map(c => Collectible.fromJSON(c));
+        this.checkpoints = (data.checkpoints || []).map(c => Checkpoint.fromJSON(c));
+        this.spawners = (data.spawners || []).map(s => Spawner.fromJSON(s));
+    }
+
+    /**
+     * Serialize the level layout to the JSON level format
+     * @returns {Object} Level data
+     */
+    toJSON() {
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            levelNumber: this.levelNumber,
+            width: this.width,
+            height: this.height,
+            theme: this.theme,
+            timeLimit: this.timeLimit,
+            unlocks: [...this.unlocks],
+            playerStart: { x: this.playerStartX, y: this.playerStartY },
+            goal: { x: this.goalX, y: this.goalY },
+            platforms: this.platforms.map(p => p.toJSON()),
+            enemies: this.enemies.filter(e => !e.spawner).map(e => e.toJSON()),
+            collectibles: this.collectibles.map(c => c.toJSON()),
+            checkpoints: this.checkpoints.map(c => c.toJSON()),
+            spawners: this.spawners.map(s => s.toJSON())
+        };
     }
 
     /**
@@ -128,6 +248,7 @@ class Level {
         this.width = 1800;
         this.playerStartX = 50;
         this.playerStartY = 400;
+        this.unlocks = ['throw'];
         
         // More complex platforms
         this.platforms = [
@@ -146,6 +267,7 @@ class Level {
             new Collectible(420, 410, 'coin'),
             new Collectible(620, 350, 'health'),
             new Collectible(820, 310, 'gem'),
+            new Collectible(900, 310, 'speedBoost'),
             new Collectible(1120, 260, 'coin'),
             new Collectible(1380, 210, 'star'),
             new Collectible(1640, 360, 'coin')
@@ -174,6 +296,7 @@ class Level {
         this.width = 2000;
         this.playerStartX = 50;
         this.playerStartY = 450;
+        this.unlocks = ['dash'];
         
         this.platforms = [
             new Platform(0, 500, 200, 40, 'static'),
@@ -194,6 +317,7 @@ class Level {
             new Collectible(690, 310, 'coin'),
             new Collectible(890, 260, 'star'),
             new Collectible(1090, 210, 'gem'),
+            new Collectible(1160, 210, 'highJump'),
             new Collectible(1340, 310, 'coin'),
             new Collectible(1540, 260, 'health'),
             new Collectible(1780, 360, 'star')
@@ -203,6 +327,7 @@ class Level {
             new Enemy(320, 410, 'patrol'),
             new Enemy(680, 310, 'patrol'),
             new Enemy(1320, 310, 'chase'),
+            new Enemy(1000, 170, 'flying'), // Bobs over the gap after the bouncy platform
             new Enemy(1750, 360, 'patrol')
         ];
         
@@ -244,6 +369,7 @@ class Level {
             new Collectible(390, 360, 'health'),
             new Collectible(590, 310, 'star'),
             new Collectible(740, 210, 'gem'),
+            new Collectible(790, 210, 'magnet'),
             new Collectible(940, 260, 'health'),
             new Collectible(1140, 160, 'star'),
             new Collectible(1340, 310, 'gem'),
@@ -256,7 +382,13 @@ class Level {
             new Enemy(220, 410, 'chase'),
             new Enemy(570, 310, 'patrol'),
             new Enemy(920, 260, 'chase'),
-            new Enemy(1320, 310, 'patrol'),
+            new Enemy(1320, 310, 'shooter'),
+            Enemy.fromJSON({
+                x: 1200,
+                y: 130,
+                type: 'flying',
+                path: { type: 'waypoints', points: [{ x: -120, y: 0 }, { x: 120, y: 0 }, { x: 0, y: 90 }] }
+            }),
             new Enemy(1770, 260, 'chase')
         ];
         
@@ -271,13 +403,13 @@ class Level {
     }
 
     /**
-     * Generate Level 5 - Boss level with time limit
+     * Generate Level 5 - Wave fight and boss level with time limit
      */
     generateLevel5() {
-        this.width = 1800;
+        this.width = 3100;
         this.playerStartX = 50;
         this.playerStartY = 450;
-        this.timeLimit = 120000; // 2 minutes
+        this.timeLimit = 180000; // 3 minutes
         
         this.platforms = [
             new Platform(0, 500, 200, 40, 'static'),
@@ -288,11 +420,19 @@ class Level {
             new Platform(1050, 200, 80, 40, 'crumbling'),
             new Platform(1200, 350, 100, 40, 'bouncy'),
             new Platform(1400, 250, 150, 40, 'moving'),
-            new Platform(1650, 400, 150, 100, 'static') // Boss arena
+            new Platform(1650, 400, 150, 40, 'static'),
+            
+            // Wave arena, then the boss arena
+            new Platform(1850, 450, 1250, 150, 'static'),
+            new Platform(1960, 340, 100, 20, 'oneWay'),
+            new Platform(2160, 340, 100, 20, 'oneWay'),
+            new Platform(2480, 330, 110, 20, 'oneWay'),
+            new Platform(2880, 330, 110, 20, 'oneWay')
         ];
         
         this.collectibles = [
             new Collectible(80, 460, 'health'),
+            new Collectible(150, 460, 'scoreMultiplier'),
             new Collectible(340, 360, 'star'),
             new Collectible(540, 310, 'gem'),
             new Collectible(690, 210, 'health'),
@@ -300,45 +440,82 @@ class Level {
             new Collectible(1090, 160, 'gem'),
             new Collectible(1240, 310, 'health'),
             new Collectible(1470, 210, 'star'),
-            new Collectible(1720, 360, 'gem')
+            new Collectible(1720, 360, 'gem'),
+            new Collectible(2000, 300, 'star'),
+            new Collectible(2200, 300, 'gem'),
+            new Collectible(2530, 290, 'health'),
+            new Collectible(2930, 290, 'health')
         ];
         
-        // Boss-level enemies
+        // Guards on the way, then the boss at the end
         this.enemies = [
             new Enemy(320, 360, 'chase'),
             new Enemy(520, 310, 'chase'),
             new Enemy(870, 260, 'chase'),
             new Enemy(1220, 310, 'chase'),
             new Enemy(1450, 210, 'chase'),
-            new Enemy(1700, 360, 'chase') // Boss enemy
+            Boss.fromJSON({ x: 2800, y: 378, arena: { left: -450, right: 300 } })
+        ];
+        
+        // Waves to fight off before the way to the boss opens
+        this.spawners = [
+            Spawner.fromJSON({
+                x: 2090,
+                y: 418,
+                interval: 1200,
+                maxAlive: 3,
+                waves: [
+                    { enemies: ['chase', 'chase'] },
+                    { enemies: ['patrol', 'shooter', 'chase'] },
+                    { enemies: ['chase', 'shooter', 'chase', 'chase'] }
+                ],
+                arena: { left: -240, right: 260 }
+            })
         ];
         
         this.checkpoints = [
             new Checkpoint(450, 286),
             new Checkpoint(1000, 136),
-            new Checkpoint(1350, 186)
+            new Checkpoint(1350, 186),
+            new Checkpoint(1700, 336),
+            new Checkpoint(2300, 386)
         ];
         
-        this.goalX = 1720;
-        this.goalY = 360;
+        this.goalX = 3020;
+        this.goalY = 410;
     }
 
     /**
      * Generate procedural level for levels beyond 5
      */
     generateProceduralLevel() {
+        this.procedural = true;
         this.width = 1600 + (this.levelNumber * 200);
         this.playerStartX = 50;
         this.playerStartY = 450;
         
-        // Generate platforms procedurally
-        this.generateProceduralPlatforms();
+        // Generate platforms procedurally, making sure the goal can be reached before anything
+        // is placed on them: layouts that can't be patched are regenerated from a derived seed,
+        // and as a last resort replaced with a plain layout that's always traversable
+        const maxAttempts = 3;
+        let traversable = false;
+        
+        for (let attempt = 0; attempt < maxAttempts && !traversable; attempt++) {
+            if (attempt > 0) {
+                this.rng.setSeed(SeededRandom.deriveSeed(this.seed, attempt));
+            }
+            this.generateProceduralPlatforms();
+            traversable = this.ensureTraversable();
+        }
+        
+        if (!traversable) {
+            console.warn(`Level ${this.levelNumber} (seed ${this.seed}) could not be made traversable, using a fallback layout`);
+            this.generateFallbackPlatforms();
+        }
+        
         this.generateProceduralCollectibles();
         this.generateProceduralEnemies();
         this.generateProceduralCheckpoints();
-        
-        this.goalX = this.width - 100;
-        this.goalY = 350;
     }
 
     /**
@@ -354,23 +531,102 @@ class Level {
         const platformTypes = ['static', 'moving', 'crumbling', 'bouncy'];
         
         while (currentX < this.width - 200) {
-            const width = random(80, 200);
+            const width = this.rng.random(80, 200);
             const height = 40;
             const x = currentX;
-            const y = random(200, 450);
+            const y = this.rng.random(200, 450);
             
             // Higher chance of special platforms at higher levels
             const specialChance = Math.min(0.6, this.levelNumber * 0.1);
-            const type = Math.random() < specialChance ? 
-                platformTypes[randomInt(1, platformTypes.length - 1)] : 'static';
+            const type = this.rng.next() < specialChance ? 
+                platformTypes[this.rng.randomInt(1, platformTypes.length - 1)] : 'static';
             
             this.platforms.push(new Platform(x, y, width, height, type));
             
-            currentX += width + random(50, 150);
+            currentX += width + this.rng.random(50, 150);
         }
         
         // End platform
         this.platforms.push(new Platform(this.width - 200, 450, 200, 40, 'static'));
+        this.placeGoal();
+    }
+
+    /**
+     * Generate a plain layout of evenly spaced static platforms, used when a procedural
+     * layout can't be made traversable
+     */
+    generateFallbackPlatforms() {
+        this.platforms = [new Platform(0, 500, 200, 40, 'static')];
+        
+        for (let x = 280; x < this.width - 280; x += 200) {
+            this.platforms.push(new Platform(x, 450, 120, 40, 'static'));
+        }
+        
+        this.platforms.push(new Platform(this.width - 200, 450, 200, 40, 'static'));
+        this.placeGoal();
+    }
+
+    /**
+     * Put the goal above the end platform (the last one generated)
+     */
+    placeGoal() {
+        const endPlatform = this.platforms[this.platforms.length - 1];
+        this.goalX = endPlatform.originalX + endPlatform.width / 2;
+        this.goalY = endPlatform.originalY - 100;
+    }
+
+    /**
+     * Patch procedural platforms until the goal is reachable from the spawn point
+     * The goal follows the end platform, so the final hop is checked along with the rest.
+     * @returns {boolean} True if the level can be completed
+     */
+    ensureTraversable() {
+        const validator = new ReachabilityValidator();
+        const maxPasses = 5;
+
+        for (let pass = 0; pass < maxPasses; pass++) {
+            if (validator.validate(this).traversable) {
+                return true;
+            }
+
+            // Platforms are generated left to right, so patch each jump in turn
+            for (let i = 1; i < this.platforms.length; i++) {
+                this.patchPlatform(validator, this.platforms[i - 1], this.platforms[i]);
+            }
+            this.placeGoal();
+        }
+
+        return validator.validate(this).traversable;
+    }
+
+    /**
+     * Move a platform until it can be jumped to from the previous one
+     * @param {ReachabilityValidator} validator - Reachability validator
+     * @param {Platform} from - Platform the player jumps from
+     * @param {Platform} to - Platform to patch
+     */
+    patchPlatform(validator, from, to) {
+        const step = 10;
+
+        // Lower platforms that are too high first, then close the gap
+        while (!validator.canReach(from, to) && to.originalY < from.originalY) {
+            this.movePlatform(to, to.originalX, Math.min(from.originalY, to.originalY + step));
+        }
+
+        while (!validator.canReach(from, to) && to.originalX > from.originalX + from.width) {
+            this.movePlatform(to, Math.max(from.originalX + from.width, to.originalX - step), to.originalY);
+        }
+    }
+
+    /**
+     * Move a platform's resting position
+     * @param {Platform} platform - Platform to move
+     * @param {number} x - New x position
+     * @param {number} y - New y position
+     */
+    movePlatform(platform, x, y) {
+        platform.x = platform.originalX = platform.previousX = x;
+        platform.y = platform.originalY = platform.previousY = y;
     }
 
     /**
@@ -380,16 +636,18 @@ class Level {
         this.collectibles = [];
         const collectibleCount = Math.min(15, 5 + this.levelNumber);
         const types = ['coin', 'gem', 'health', 'star'];
+        const powerUpTypes = ['star', 'speedBoost', 'highJump', 'magnet', 'scoreMultiplier'];
         
         for (let i = 0; i < collectibleCount; i++) {
-            const platform = this.platforms[randomInt(1, this.platforms.length - 2)];
-            const x = platform.x + random(20, platform.width - 40);
+            const platform = this.platforms[this.rng.randomInt(1, this.platforms.length - 2)];
+            const x = platform.x + this.rng.random(20, platform.width - 40);
             const y = platform.y - 30;
             
             // Higher value items at higher levels
-            const typeIndex = Math.random() < (this.levelNumber * 0.1) ? 
-                randomInt(1, types.length - 1) : 0;
-            const type = types[typeIndex];
+            const typeIndex = this.rng.next() < (this.levelNumber * 0.1) ? 
+                this.rng.randomInt(1, types.length - 1) : 0;
+            // Star slots cycle through the power-ups
+            const type = types[typeIndex] === 'star' ? powerUpTypes[i % powerUpTypes.length] : types[typeIndex];
             
             this.collectibles.push(new Collectible(x, y, type));
         }
@@ -403,14 +661,20 @@ class Level {
         const enemyCount = Math.min(10, 2 + Math.floor(this.levelNumber * 1.5));
         
         for (let i = 0; i < enemyCount; i++) {
-            const platform = this.platforms[randomInt(1, this.platforms.length - 2)];
-            const x = platform.x + random(30, platform.width - 60);
+            const platform = this.platforms[this.rng.randomInt(1, this.platforms.length - 2)];
+            const x = platform.x + this.rng.random(30, platform.width - 60);
             const y = platform.y - 35;
             
-            // More chase enemies at higher levels
-            const type = Math.random() < (this.levelNumber * 0.15) ? 'chase' : 'patrol';
+            // More chase enemies at higher levels, some of them shooting from range or flying
+            let type = this.rng.next() < (this.levelNumber * 0.15) ? 'chase' : 'patrol';
+            if (type === 'chase' && this.levelNumber >= 8 && i % 3 === 0) {
+                type = 'shooter';
+            } else if (this.levelNumber >= 6 && i % 4 === 1) {
+                type = 'flying';
+            }
             
-            this.enemies.push(new Enemy(x, y, type));
+            // Flyers hover above their platform instead of standing on it
+            this.enemies.push(new Enemy(x, type === 'flying' ? y - 80 : y, type));
         }
     }
 
@@ -463,21 +727,42 @@ class Level {
      * @param {Object} player - Player object
      */
     update(deltaTime, player) {
+        this.elapsedTime += deltaTime;
+        
         // Update platforms
         for (const platform of this.platforms) {
             platform.update(deltaTime, player);
         }
         
         // Update enemies
+        for (const navigation of this.navigationGraphs.values()) {
+            navigation.update(this.platforms);
+        }
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
-            enemy.update(deltaTime, this.platforms, player);
+            enemy.update(deltaTime, this.platforms, player, this.getNavigation(enemy));
+            
+            for (const shot of enemy.pendingShots) {
+                this.spawnProjectile(shot);
+            }
+            enemy.pendingShots.length = 0;
             
             if (enemy.shouldBeRemoved()) {
                 this.enemies.splice(i, 1);
             }
         }
         
+        // Update spawners, adding the enemies they emit
+        for (const spawner of this.spawners) {
+            spawner.update(deltaTime, player);
+            
+            this.enemies.push(...spawner.pendingEnemies);
+            spawner.pendingEnemies.length = 0;
+        }
+        
+        // Update projectiles
+        this.updateProjectiles(deltaTime);
+        
         // Update collectibles
         for (const collectible of this.collectibles) {
             collectible.update(deltaTime, player);
@@ -488,16 +773,149 @@ class Level {
             checkpoint.update(deltaTime, player);
         }
         
+        // Boss and wave arenas
+        this.updateArenas(player);
+        
         // Check level completion
         this.checkLevelCompletion(player);
     }
 
+    /**
+     * Get the platform graph for an enemy's movement capabilities
+     * Enemies that run or jump differently can reach different platforms, so each combination gets
+     * its own graph, built the first time an enemy with it needs one.
+     * @param {Enemy} enemy - Enemy that will chase along the graph
+     * @returns {NavigationGraph|null} Navigation graph, or null for enemies that don't walk platforms
+     */
+    getNavigation(enemy) {
+        if (enemy.isFlying || enemy instanceof Boss) return null;
+        
+        const key = NavigationGraph.getCapabilityKey(enemy);
+        let navigation = this.navigationGraphs.get(key);
+        
+        if (!navigation) {
+            navigation = new NavigationGraph(enemy);
+            navigation.update(this.platforms);
+            this.navigationGraphs.set(key, navigation);
+        }
+        
+        return navigation;
+    }
+
+    /**
+     * Lock the player in an arena once they enter it, until its boss or waves are defeated
+     * @param {Object} player - Player object
+     */
+    updateArenas(player) {
+        if (this.activeArena) {
+            const arena = this.activeArena.getArenaBounds();
+            
+            if (this.activeArena.isDefeated()) {
+                this.activeArena = null;
+                return;
+            }
+            
+            // Respawning outside the arena calls the fight off
+            if (player.x + player.width < arena.left || player.x > arena.right) {
+                this.cancelEncounter(this.activeArena);
+                return;
+            }
+            
+            // Arena walls
+            if (player.x < arena.left || player.x + player.width > arena.right) {
+                player.x = clamp(player.x, arena.left, arena.right - player.width);
+                player.velocityX = 0;
+            }
+        } else if (!player.isDead()) {
+            this.activeArena = this.getArenaEncounters().find(encounter => {
+                const arena = encounter.getArenaBounds();
+                return !encounter.isDefeated() && player.x >= arena.left && player.x + player.width <= arena.right;
+            }) || null;
+            
+            if (this.activeArena) {
+                this.activeArena.activate();
+            }
+        }
+    }
+
+    /**
+     * Get the encounters that shut the player in an arena
+     * @returns {Array} The boss and wave spawners with an arena
+     */
+    getArenaEncounters() {
+        const spawners = this.spawners.filter(spawner => spawner.arena);
+        return this.boss ? [this.boss, ...spawners] : spawners;
+    }
+
+    /**
+     * Call off an arena fight so it starts over the next time the player enters
+     * @param {Object} encounter - Boss or spawner
+     */
+    cancelEncounter(encounter) {
+        encounter.reset();
+        this.enemies = this.enemies.filter(enemy => enemy.spawner !== encounter);
+        
+        if (this.activeArena === encounter) {
+            this.activeArena = null;
+        }
+    }
+
+    /**
+     * Check if the goal is locked by an arena fight that hasn't been won
+     * @returns {boolean} True if the goal can't be reached yet
+     */
+    isGoalLocked() {
+        return this.getArenaEncounters().some(encounter => !encounter.isDefeated());
+    }
+
+    /**
+     * Launch a projectile from the pool
+     * @param {Object} options - Projectile settings (see Projectile.spawn)
+     * @returns {Projectile|null} Launched projectile, or null if the pool is exhausted
+     */
+    spawnProjectile(options) {
+        let projectile = this.projectiles.find(candidate => !candidate.active);
+        
+        if (!projectile) {
+            if (this.projectiles.length >= this.maxProjectiles) return null;
+            
+            projectile = new Projectile();
+            this.projectiles.push(projectile);
+        }
+        
+        return projectile.spawn(options);
+    }
+
+    /**
+     * Get the projectiles currently in flight
+     * @returns {Array} Active projectiles
+     */
+    getActiveProjectiles() {
+        return this.projectiles.filter(projectile => projectile.active);
+    }
+
+    /**
+     * Move projectiles and retire those that leave the level
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateProjectiles(deltaTime) {
+        for (const projectile of this.projectiles) {
+            if (!projectile.active) continue;
+            
+            projectile.update(deltaTime, this.platforms);
+            
+            if (projectile.x + projectile.width < 0 || projectile.x > this.width || projectile.y > this.height) {
+                projectile.deactivate();
+            }
+        }
+    }
+
     /**
      * Check if level is completed
      * @param {Object} player - Player object
      */
     checkLevelCompletion(player) {
-        if (this.completed) return;
+        if (this.completed || this.isGoalLocked()) return;
         
         const playerCenter = player.getCenter();
         const goalDistance = distance(playerCenter.x, playerCenter.y, this.goalX, this.goalY);
@@ -514,8 +932,7 @@ class Level {
     isTimeUp() {
         if (!this.timeLimit) return false;
         
-        const elapsed = getTimestamp() - this.startTime;
-        return elapsed >= this.timeLimit;
+        return this.elapsedTime >= this.timeLimit;
     }
 
     /**
@@ -525,20 +942,20 @@ class Level {
     getRemainingTime() {
         if (!this.timeLimit) return null;
         
-        const elapsed = getTimestamp() - this.startTime;
-        return Math.max(0, this.timeLimit - elapsed);
+        return Math.max(0, this.timeLimit - this.elapsedTime);
     }
 
     /**
      * Render level elements
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} camera - Camera object
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
      */
-    render(ctx, camera) {
+    render(ctx, camera, interpolation = 1) {
         // Render platforms
         for (const platform of this.platforms) {
             if (platform.shouldRender()) {
-                platform.render(ctx, camera);
+                platform.render(ctx, camera, interpolation);
             }
         }
         
@@ -554,15 +971,50 @@ class Level {
             }
         }
         
+        // Render spawners
+        for (const spawner of this.spawners) {
+            spawner.render(ctx, camera);
+        }
+        
         // Render enemies
         for (const enemy of this.enemies) {
-            enemy.render(ctx, camera);
+            enemy.render(ctx, camera, interpolation);
+        }
+        
+        // Render projectiles
+        for (const projectile of this.projectiles) {
+            projectile.render(ctx, camera, interpolation);
+        }
+        
+        // Render arena walls during an arena fight
+        if (this.activeArena) {
+            this.renderArenaWalls(ctx, camera);
         }
         
         // Render goal area
         this.renderGoal(ctx, camera);
     }
 
+    /**
+     * Render the energy walls closing the active arena
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} camera - Camera object
+     */
+    renderArenaWalls(ctx, camera) {
+        const arena = this.activeArena.getArenaBounds();
+        const pulse = 0.4 + Math.sin(this.elapsedTime / 150) * 0.15;
+        
+        ctx.save();
+        ctx.globalAlpha = pulse;
+        ctx.fillStyle = '#ff3366';
+        
+        for (const wallX of [arena.left, arena.right]) {
+            ctx.fillRect(wallX - 4 - camera.x, -camera.y, 8, this.height);
+        }
+        
+        ctx.restore();
+    }
+
     /**
      * Render goal area
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -572,20 +1024,22 @@ class Level {
         const screenX = this.goalX - camera.x;
         const screenY = this.goalY - camera.y;
         
-        if (screenX < -50 || screenX > ctx.canvas.width + 50) return;
+        if (screenX < -50 || screenX > ctx.canvas.width / camera.zoom + 50) return;
         
         ctx.save();
         
+        const locked = this.isGoalLocked();
+        
         // Goal flag
         ctx.fillStyle = '#ffdd00';
         ctx.fillRect(screenX - 2, screenY - 60, 4, 60);
         
-        // Flag
-        ctx.fillStyle = '#ff4444';
+        // Flag (gray while an arena fight guards it)
+        ctx.fillStyle = locked ? '#777777' : '#ff4444';
         ctx.fillRect(screenX + 2, screenY - 60, 30, 20);
         
         // Goal area indicator
-        ctx.strokeStyle = '#ffdd00';
+        ctx.strokeStyle = locked ? '#777777' : '#ffdd00';
         ctx.lineWidth = 3;
         ctx.setLineDash([5, 5]);
         ctx.strokeRect(screenX - 25, screenY - 70, 50, 70);
@@ -595,7 +1049,7 @@ class Level {
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('GOAL', screenX, screenY - 75);
+        ctx.fillText(locked ? 'LOCKED' : 'GOAL', screenX, screenY - 75);
         
         ctx.restore();
     }
@@ -605,7 +1059,11 @@ class Level {
      */
     reset() {
         this.completed = false;
-        this.startTime = getTimestamp();
+        this.elapsedTime = 0;
+        this.activeArena = null;
+        
+        // Remove enemies emitted by spawners
+        this.enemies = this.enemies.filter(enemy => !enemy.spawner);
         
         // Reset all platforms
         for (const platform of this.platforms) {
@@ -626,6 +1084,53 @@ class Level {
         for (const checkpoint of this.checkpoints) {
             checkpoint.reset();
         }
+        
+        // Reset all spawners
+        for (const spawner of this.spawners) {
+            spawner.reset();
+        }
+        
+        // Clear projectiles in flight
+        for (const projectile of this.projectiles) {
+            projectile.deactivate();
+        }
+    }
+
+    /**
+     * Get the player's progress through the level for saving
+     * @returns {Object} Indices of collected items and activated checkpoints
+     */
+    getProgress() {
+        const indicesWhere = (items, predicate) => items.reduce((indices, item, index) => {
+            if (predicate(item)) indices.push(index);
+            return indices;
+        }, []);
+        
+        return {
+            collected: indicesWhere(this.collectibles, c => c.collected),
+            checkpoints: indicesWhere(this.checkpoints, c => c.isActivated())
+        };
+    }
+
+    /**
+     * Restore saved progress without replaying collection or activation effects
+     * @param {Object} progress - Progress from getProgress()
+     */
+    restoreProgress(progress) {
+        for (const index of progress.collected || []) {
+            const collectible = this.collectibles[index];
+            if (collectible) {
+                collectible.collected = true;
+                collectible.collectionAnimation.active = false;
+            }
+        }
+        
+        for (const index of progress.checkpoints || []) {
+            const checkpoint = this.checkpoints[index];
+            if (checkpoint) {
+                checkpoint.activated = true;
+            }
+        }
     }
 
     /**
@@ -640,6 +1145,7 @@ class Level {
         
         return {
             levelNumber: this.levelNumber,
+            seed: this.seed,
             theme: this.theme,
             completed: this.completed,
             collectibles: {
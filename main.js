@@ -43,8 +43,10 @@ function setupWindowEvents() {
     
     // Handle before unload (save game state if needed)
     window.addEventListener('beforeunload', (e) => {
-        if (game && game.state === 'playing') {
-            // Could save game state here
+        if (game && (game.state === 'playing' || game.state === 'paused')) {
+            // Only warn when the progress couldn't be saved (e.g. play-testing)
+            if (game.saveGame()) return;
+            
             e.preventDefault();
             e.returnValue = 'Are you sure you want to leave? Your progress will be lost.';
         }
@@ -229,9 +231,40 @@ if (typeof window !== 'undefined') {
             }
         },
         
+        startWithSeed: (seed) => {
+            if (game) {
+                game.startGame(seed);
+                console.log(`Started run with seed ${game.seed}`);
+            }
+        },
+        
+        downloadReplay: () => {
+            const replay = game ? game.getReplay() : null;
+            if (!replay) {
+                console.log('No replay is being recorded');
+                return;
+            }
+            
+            const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `replay-level-${replay.levelNumber}-${replay.seed}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            console.log(`Downloaded replay (${replay.frameCount} steps)`);
+        },
+        
+        playReplay: (replay) => {
+            if (game) {
+                game.startReplay(replay);
+            }
+        },
+        
         toggleGodMode: () => {
             if (game && game.player) {
                 game.player.invulnerable = !game.player.invulnerable;
+                game.player.invulnerabilityTimer = game.player.invulnerable ? Infinity : 0;
                 console.log(`God mode: ${game.player.invulnerable ? 'ON' : 'OFF'}`);
             }
         }
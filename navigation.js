@@ -0,0 +1,344 @@
+/**
+ * NavigationGraph - platform graph and A* pathfinding for ground enemies
+ * Nodes are platforms; edges are the ways an enemy can get from one platform onto another:
+ * walking across to a neighbouring platform, dropping off an edge, or jumping.
+ */
+class NavigationGraph {
+    /**
+     * @param {Object} walker - Enemy whose movement capabilities are used
+     */
+    constructor(walker = new Enemy(0, 0, 'chase')) {
+        // Movement capabilities (per 60 Hz frame, same units as Enemy)
+        this.speed = walker.chaseSpeed;
+        this.jumpPower = walker.jumpPower;
+        this.gravity = walker.gravity;
+        this.width = walker.width;
+
+        // Jump and fall arcs are simulated the same way the level validator does for the player
+        this.arcs = new ReachabilityValidator({
+            speed: walker.chaseSpeed,
+            jumpPower: walker.jumpPower,
+            gravity: walker.gravity,
+            maxFallSpeed: walker.maxFallSpeed,
+            width: walker.width,
+            height: walker.height
+        });
+        this.arcs.canDoubleJump = false;
+
+        // Graph settings
+        this.stepHeight = 4; // Height difference that can be walked across
+        this.jumpCost = 40; // Extra cost of a jump, so walking and dropping are preferred
+        this.moveTolerance = 16; // Distance a moving platform travels before the graph is rebuilt
+
+        // Graph, rebuilt whenever the platform layout changes
+        this.nodes = [];
+        this.edges = new Map(); // Platform to outgoing edges
+        this.signature = null;
+        this.version = 0; // Bumped on every rebuild so planned paths can be refreshed
+    }
+
+    /**
+     * Describe the movement capabilities a graph is built from
+     * Walkers with the same key can share a graph.
+     * @param {Object} walker - Enemy whose movement capabilities are used
+     * @returns {string} Capability key
+     */
+    static getCapabilityKey(walker) {
+        return [walker.chaseSpeed, walker.jumpPower, walker.gravity, walker.maxFallSpeed,
+                walker.width, walker.height].join(',');
+    }
+
+    /**
+     * Rebuild the graph if platforms have moved, crumbled or been edited
+     * @param {Array} platforms - Level platforms
+     */
+    update(platforms) {
+        const signature = this.getSignature(platforms);
+
+        if (signature !== this.signature) {
+            this.build(platforms);
+            this.signature = signature;
+        }
+    }
+
+    /**
+     * Describe the platform layout; the graph is stale when this changes
+     * Moving platforms are snapped to a coarse grid so they don't trigger a rebuild every frame.
+     * @param {Array} platforms - Level platforms
+     * @returns {string} Layout signature
+     */
+    getSignature(platforms) {
+        return platforms.map(platform => {
+            if (!platform.providesCollision()) return '-';
+
+            const snap = platform.type === 'moving' ? this.moveTolerance : 1;
+            return `${Math.round(platform.x / snap)},${Math.round(platform.y / snap)},${platform.width},${platform.height}`;
+        }).join('|');
+    }
+
+    /**
+     * Build the graph from the platforms' current positions
+     * @param {Array} platforms - Level platforms
+     */
+    build(platforms) {
+        this.nodes = platforms.filter(platform => platform.providesCollision());
+        this.edges = new Map();
+
+        for (const from of this.nodes) {
+            const edges = [];
+
+            for (const to of this.nodes) {
+                const edge = to !== from ? this.findEdge(from, to) : null;
+                if (edge) {
+                    edges.push(edge);
+                }
+            }
+
+            this.edges.set(from, edges);
+        }
+
+        this.version++;
+    }
+
+    /**
+     * Find the cheapest way from one platform onto another
+     * @param {Platform} from - Platform to leave
+     * @param {Platform} to - Platform to reach
+     * @returns {Object|null} Edge, or null if the enemy can't get there directly
+     */
+    findEdge(from, to) {
+        // Platforms overlapping horizontally can be approached from either side
+        let directions = [1, -1];
+        if (to.x >= from.x + from.width) {
+            directions = [1];
+        } else if (to.x + to.width <= from.x) {
+            directions = [-1];
+        }
+
+        let best = null;
+        for (const direction of directions) {
+            const edge = this.createEdge(from, to, direction);
+            if (edge && (!best || edge.cost < best.cost)) {
+                best = edge;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Work out how to move from one platform onto another heading in a given direction
+     * Positions are for the enemy's center: where to leave the ground and where to land.
+     * @param {Platform} from - Platform to leave
+     * @param {Platform} to - Platform to reach
+     * @param {number} direction - 1 to move right, -1 to move left
+     * @returns {Object|null} Edge, or null if not possible in this direction
+     */
+    createEdge(from, to, direction) {
+        const half = this.width / 2;
+        const rise = from.y - to.y; // Positive when the target is higher
+        const fromEdge = direction > 0 ? from.x + from.width : from.x;
+        const gap = direction > 0 ? to.x - fromEdge : fromEdge - (to.x + to.width);
+
+        // Where the enemy is fully over the target; dropping down means clearing the edge first
+        let landingEdgeX = direction > 0 ? to.x : to.x + to.width;
+        if (rise < 0) {
+            const clearX = fromEdge + direction * half;
+            landingEdgeX = direction > 0 ? Math.max(landingEdgeX, clearX) : Math.min(landingEdgeX, clearX);
+        }
+        if (landingEdgeX < to.x || landingEdgeX > to.x + to.width) {
+            return null;
+        }
+
+        let type = null;
+        let takeoffX = fromEdge - direction * half;
+        const required = Math.max(0, (landingEdgeX - takeoffX) * direction);
+
+        if (Math.abs(rise) <= this.stepHeight && gap <= 1) {
+            type = 'walk';
+        } else if (rise < 0 && this.canCover(required, rise, 0)) {
+            type = 'drop';
+        } else {
+            takeoffX = this.getTakeoffX(from, to, direction, rise);
+            if (takeoffX === null || !this.canCover(Math.max(0, (landingEdgeX - takeoffX) * direction), rise, this.jumpPower)) {
+                return null;
+            }
+            type = 'jump';
+        }
+
+        const start = this.getSurfaceCenter(from);
+        const end = this.getSurfaceCenter(to);
+
+        return {
+            from,
+            to,
+            type,
+            direction,
+            takeoffX,
+            landingX: clamp(landingEdgeX + direction * this.width, to.x + half, to.x + to.width - half),
+            cost: distance(start.x, start.y, end.x, end.y) + (type === 'jump' ? this.jumpCost : 0)
+        };
+    }
+
+    /**
+     * Check if a jump or fall covers a horizontal distance before landing
+     * @param {number} required - Horizontal distance to cover
+     * @param {number} rise - Height of the landing surface above the take-off surface
+     * @param {number} launchSpeed - Initial upward speed (0 for walking off an edge)
+     * @returns {boolean} True if the distance can be covered
+     */
+    canCover(required, rise, launchSpeed) {
+        const reach = this.arcs.getMaxReach(rise, launchSpeed, false);
+        return reach >= 0 && required <= reach * this.arcs.safetyMargin;
+    }
+
+    /**
+     * Find where to jump from so the enemy rises clear of the target before reaching it
+     * @param {Platform} from - Platform to jump from
+     * @param {Platform} to - Platform to land on
+     * @param {number} direction - 1 to jump right, -1 to jump left
+     * @param {number} rise - Height of the landing surface above the take-off surface
+     * @returns {number|null} Take-off x position, or null if there isn't room on the platform
+     */
+    getTakeoffX(from, to, direction, rise) {
+        const half = this.width / 2;
+        let takeoffX = direction > 0 ? from.x + from.width - half : from.x + half;
+
+        // One-way platforms are jumped up through, so the jump can start right under their near edge
+        if (rise > 0 && to.type === 'oneWay') {
+            takeoffX = direction > 0 ? Math.min(takeoffX, to.x + half) : Math.max(takeoffX, to.x + to.width - half);
+        }
+
+        // Rising into the side of a higher platform stalls the jump, so start far enough back
+        // that the enemy's feet are above the surface by the time it gets there
+        if (rise > 0 && to.type !== 'oneWay') {
+            const clearance = this.jumpPower * this.jumpPower - 2 * this.gravity * rise;
+            if (clearance < 0) return null;
+
+            const riseFrames = (this.jumpPower - Math.sqrt(clearance)) / this.gravity;
+            const runUp = this.speed * riseFrames + this.stepHeight;
+            takeoffX = direction > 0
+                ? Math.min(takeoffX, to.x - half - runUp)
+                : Math.max(takeoffX, to.x + to.width + half + runUp);
+        }
+
+        if (takeoffX < from.x + half || takeoffX > from.x + from.width - half) {
+            return null;
+        }
+
+        return takeoffX;
+    }
+
+    /**
+     * Get the middle of a platform's top surface
+     * @param {Platform} platform - Platform to measure
+     * @returns {Object} Point with x and y
+     */
+    getSurfaceCenter(platform) {
+        return { x: platform.x + platform.width / 2, y: platform.y };
+    }
+
+    /**
+     * Find the platform something is standing on, or will land on if airborne
+     * @param {Object} entity - Object with x, y, width and height
+     * @returns {Platform|null} Highest platform below the entity's feet
+     */
+    findPlatformUnder(entity) {
+        const feet = entity.y + entity.height;
+        let best = null;
+
+        for (const platform of this.nodes) {
+            const overlaps = entity.x < platform.x + platform.width && entity.x + entity.width > platform.x;
+            if (overlaps && platform.y >= feet - this.stepHeight && (!best || platform.y < best.y)) {
+                best = platform;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Find the platform something is standing on
+     * @param {Object} entity - Object with x, y, width and height
+     * @returns {Platform|null} Platform under the entity's feet, or null if airborne
+     */
+    findStandingPlatform(entity) {
+        const platform = this.findPlatformUnder(entity);
+        return platform && platform.y - (entity.y + entity.height) <= this.stepHeight ? platform : null;
+    }
+
+    /**
+     * Find the cheapest route between two platforms with A*
+     * @param {Platform} start - Platform to start from
+     * @param {Platform} goal - Platform to reach
+     * @returns {Array|null} Edges to follow in order (empty if already there), or null if unreachable
+     */
+    findPath(start, goal) {
+        if (!this.edges.has(start) || !this.edges.has(goal)) return null;
+        if (start === goal) return [];
+
+        const open = [start];
+        const cameFrom = new Map(); // Platform to the edge it was reached by
+        const costs = new Map([[start, 0]]);
+        const estimates = new Map([[start, this.estimateCost(start, goal)]]);
+
+        while (open.length > 0) {
+            // Graphs are small enough that scanning for the best open node is fine
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (estimates.get(open[i]) < estimates.get(open[bestIndex])) {
+                    bestIndex = i;
+                }
+            }
+
+            const current = open.splice(bestIndex, 1)[0];
+            if (current === goal) {
+                return this.reconstructPath(cameFrom, goal);
+            }
+
+            for (const edge of this.edges.get(current)) {
+                const cost = costs.get(current) + edge.cost;
+
+                if (!costs.has(edge.to) || cost < costs.get(edge.to)) {
+                    cameFrom.set(edge.to, edge);
+                    costs.set(edge.to, cost);
+                    estimates.set(edge.to, cost + this.estimateCost(edge.to, goal));
+
+                    if (!open.includes(edge.to)) {
+                        open.push(edge.to);
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Estimate the remaining cost between two platforms (never more than the real cost)
+     * @param {Platform} from - Platform to measure from
+     * @param {Platform} to - Platform to measure to
+     * @returns {number} Straight-line distance between the platform surfaces
+     */
+    estimateCost(from, to) {
+        const start = this.getSurfaceCenter(from);
+        const end = this.getSurfaceCenter(to);
+        return distance(start.x, start.y, end.x, end.y);
+    }
+
+    /**
+     * Walk back through the search results to list the edges of a path
+     * @param {Map} cameFrom - Platform to the edge it was reached by
+     * @param {Platform} goal - Last platform of the path
+     * @returns {Array} Edges in order
+     */
+    reconstructPath(cameFrom, goal) {
+        const path = [];
+
+        for (let edge = cameFrom.get(goal); edge; edge = cameFrom.get(edge.from)) {
+            path.unshift(edge);
+        }
+
+        return path;
+    }
+}
@@ -10,12 +10,14 @@ class Platform {
         this.height = height;
         this.originalX = x;
         this.originalY = y;
+        this.previousX = x; // Position at the previous simulation step
+        this.previousY = y;
         
         // Platform type and behavior
-        this.type = type; // 'static', 'moving', 'crumbling', 'bouncy'
+        this.type = type; // 'static', 'moving', 'crumbling', 'bouncy', 'oneWay'
         this.color = this.getPlatformColor();
         
-        // Movement properties (for moving platforms)
+        // Movement properties (for moving platforms, speed per 60 Hz frame)
         this.moveSpeed = 1;
         this.moveDistance = 100;
         this.moveDirection = 1; // 1 or -1
@@ -31,6 +33,7 @@ class Platform {
         
         // Bouncy platform properties
         this.bounceForce = 20;
+        this.minBounceSpeed = 4; // Landing speed needed to be launched, so walking on doesn't bounce
         this.bounceAnimation = {
             active: false,
             scale: 1,
@@ -55,6 +58,8 @@ class Platform {
                 return '#aa6644';
             case 'bouncy':
                 return '#44ff88';
+            case 'oneWay':
+                return '#bb9955';
             default:
                 return '#666666';
         }
@@ -77,6 +82,9 @@ class Platform {
      * @param {Object} player - Player object for interaction
      */
     update(deltaTime, player = null) {
+        this.previousX = this.x;
+        this.previousY = this.y;
+        
         switch (this.type) {
             case 'moving':
                 this.updateMovement(deltaTime);
@@ -97,8 +105,10 @@ class Platform {
      * @param {number} deltaTime - Time since last frame
      */
     updateMovement(deltaTime) {
+        const step = this.moveDirection * this.moveSpeed * frameScale(deltaTime);
+        
         if (this.moveAxis === 'horizontal') {
-            this.x += this.moveDirection * this.moveSpeed;
+            this.x += step;
             
             if (this.x >= this.originalX + this.moveDistance) {
                 this.x = this.originalX + this.moveDistance;
@@ -108,7 +118,7 @@ class Platform {
                 this.moveDirection = 1;
             }
         } else {
-            this.y += this.moveDirection * this.moveSpeed;
+            this.y += step;
             
             if (this.y >= this.originalY + this.moveDistance) {
                 this.y = this.originalY + this.moveDistance;
@@ -129,14 +139,9 @@ class Platform {
         const wasPlayerOn = this.isPlayerOn;
         this.isPlayerOn = false;
         
-        // Check if player is on platform
-        if (player && checkCollision(player, this)) {
-            const playerBottom = player.y + player.height;
-            const platformTop = this.y;
-            
-            if (playerBottom <= platformTop + 10 && player.velocityY >= 0) {
-                this.isPlayerOn = true;
-            }
+        // Check if player is on platform (only the player's weight sets it crumbling)
+        if (player && player.groundPlatform === this) {
+            this.isPlayerOn = true;
         }
         
         // Start crumbling timer when player steps on
@@ -187,12 +192,14 @@ class Platform {
      * @param {number} deltaTime - Time since last frame
      */
     updateCrumbleParticles(deltaTime) {
+        const frames = frameScale(deltaTime);
+        
         for (let i = this.crumbleParticles.length - 1; i >= 0; i--) {
             const particle = this.crumbleParticles[i];
             
-            particle.x += particle.velocityX;
-            particle.y += particle.velocityY;
-            particle.velocityY += 0.2; // gravity
+            particle.x += particle.velocityX * frames;
+            particle.y += particle.velocityY * frames;
+            particle.velocityY += 0.2 * frames; // gravity
             particle.age += deltaTime;
             
             if (particle.age >= particle.life) {
@@ -221,73 +228,133 @@ class Platform {
     }
 
     /**
-     * Handle player collision and platform-specific effects
-     * @param {Object} player - Player object
-     * @returns {Object} Collision data with side and special effects
+     * Move bodies (the player and enemies) out of the platforms they overlap
+     * Bodies first ride along with the platform they stood on last step, then every overlap is
+     * resolved and each platform applies its own response (see handleCollision).
+     * @param {Object} body - Object with x, y, width, height, velocityX, velocityY and bounciness
+     * @param {Array} platforms - Array of platform objects
+     * @returns {Array} Collisions, each with the side of the platform hit, the platform and whether it bounced
+     */
+    static resolveCollisions(body, platforms) {
+        const ground = body.groundPlatform;
+        if (ground) {
+            ground.carry(body);
+        }
+        body.groundPlatform = ground && ground.isSupporting(body) ? ground : null;
+
+        const collisions = [];
+        for (const platform of platforms) {
+            const collision = platform.handleCollision(body);
+            if (collision) {
+                collisions.push(collision);
+            }
+        }
+
+        // A one-way platform being dropped through catches the body again once it's clear of it
+        const dropped = body.dropThroughPlatform;
+        if (dropped && !checkCollision(body, dropped)) {
+            body.dropThroughPlatform = null;
+        }
+
+        return collisions;
+    }
+
+    /**
+     * Push a body out of the platform and apply platform-specific effects
+     * Crumbled platforms are passed through, one-way ones only stop bodies coming down onto them,
+     * bouncy ones launch bodies that land hard enough, and bodies landing on top are carried along
+     * from then on.
+     * @param {Object} body - Object with x, y, width, height, velocityX, velocityY and bounciness
+     * @returns {Object|null} Collision data with side, platform and bounced flag, or null if not touching
      */
-    handlePlayerCollision(player) {
-        if (!checkCollision(this, player)) {
+    handleCollision(body) {
+        if (!this.providesCollision() || !checkCollision(this, body)) {
+            return null;
+        }
+
+        if (this.type === 'oneWay' && !this.catchesFromAbove(body)) {
             return null;
         }
 
-        // Determine collision side
-        const overlapX = Math.min(player.x + player.width - this.x, this.x + this.width - player.x);
-        const overlapY = Math.min(player.y + player.height - this.y, this.y + this.height - player.y);
+        // Determine collision side (one-way platforms only have a top)
+        const overlapX = Math.min(body.x + body.width - this.x, this.x + this.width - body.x);
+        const overlapY = Math.min(body.y + body.height - this.y, this.y + this.height - body.y);
         
-        let collisionSide = 'none';
-        let platformEffect = null;
+        let side = 'none';
+        let bounced = false;
 
-        if (overlapX < overlapY) {
+        if (overlapX < overlapY && this.type !== 'oneWay') {
             // Horizontal collision
-            if (player.x < this.x) {
-                collisionSide = 'left';
-                player.x = this.x - player.width;
-                player.velocityX = 0;
+            if (body.x < this.x) {
+                side = 'left';
+                body.x = this.x - body.width;
             } else {
-                collisionSide = 'right';
-                player.x = this.x + this.width;
-                player.velocityX = 0;
+                side = 'right';
+                body.x = this.x + this.width;
             }
-        } else {
-            // Vertical collision
-            if (player.y < this.y) {
-                // Player landing on top
-                collisionSide = 'top';
-                player.y = this.y - player.height;
-                
-                // Apply platform-specific effects
-                if (this.type === 'bouncy') {
-                    player.velocityY = -this.bounceForce;
-                    this.triggerBounce();
-                } else {
-                    player.velocityY = 0;
-                }
-                
-                player.isGrounded = true;
-                player.canDoubleJump = false;
-                player.hasDoubleJumped = false;
-                
-                // Moving platform - move player with platform
-                if (this.type === 'moving') {
-                    if (this.moveAxis === 'horizontal') {
-                        player.x += this.moveDirection * this.moveSpeed;
-                    }
-                }
+            body.velocityX = 0;
+        } else if (body.y < this.y) {
+            // Landing on top
+            side = 'top';
+            body.y = this.y - body.height;
+            
+            if (this.type === 'bouncy' && body.velocityY >= this.minBounceSpeed) {
+                body.velocityY = -this.bounceForce * body.bounciness;
+                bounced = true;
+                this.triggerBounce();
             } else {
-                // Player hit from below
-                collisionSide = 'bottom';
-                player.y = this.y + this.height;
-                player.velocityY = 0;
+                body.velocityY = 0;
+                body.groundPlatform = this;
             }
+        } else {
+            // Hit from below
+            side = 'bottom';
+            body.y = this.y + this.height;
+            body.velocityY = 0;
         }
 
         return {
-            side: collisionSide,
-            effect: platformEffect,
-            platform: this
+            side,
+            platform: this,
+            bounced
         };
     }
 
+    /**
+     * Check if a one-way platform stops a body
+     * Only bodies falling onto it from above land; ones jumping up through it, or dropping down
+     * through it on purpose, pass through.
+     * @param {Object} body - Object with y, previousY, height and velocityY
+     * @returns {boolean} True if the body lands on the platform
+     */
+    catchesFromAbove(body) {
+        return body.dropThroughPlatform !== this &&
+               body.velocityY >= 0 &&
+               body.previousY + body.height <= this.previousY + 1;
+    }
+
+    /**
+     * Move a body standing on the platform along with it
+     * @param {Object} body - Object with x and y
+     */
+    carry(body) {
+        body.x += this.x - this.previousX;
+        body.y += this.y - this.previousY;
+    }
+
+    /**
+     * Check if a body is resting on top of the platform
+     * @param {Object} body - Object with x, y, width, height and velocityY
+     * @returns {boolean} True if the body stands on the platform
+     */
+    isSupporting(body) {
+        return this.providesCollision() &&
+               body.velocityY >= 0 &&
+               body.x < this.x + this.width &&
+               body.x + body.width > this.x &&
+               Math.abs(body.y + body.height - this.y) <= 1;
+    }
+
     /**
      * Trigger bounce animation
      */
@@ -318,15 +385,16 @@ class Platform {
      * Render the platform with effects
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} camera - Camera object for offset calculation
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
      */
-    render(ctx, camera) {
-        // Calculate screen position
-        const screenX = this.x - camera.x;
-        const screenY = this.y - camera.y;
+    render(ctx, camera, interpolation = 1) {
+        // Calculate screen position between the last two simulation steps
+        const screenX = lerp(this.previousX, this.x, interpolation) - camera.x;
+        const screenY = lerp(this.previousY, this.y, interpolation) - camera.y;
 
         // Don't render if off-screen
-        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
-            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
             return;
         }
 
@@ -405,6 +473,9 @@ class Platform {
             case 'bouncy':
                 this.drawBouncyPlatformDetails(ctx);
                 break;
+            case 'oneWay':
+                this.drawOneWayPlatformDetails(ctx);
+                break;
             default:
                 this.drawStaticPlatformDetails(ctx);
         }
@@ -501,6 +572,35 @@ class Platform {
         }
     }
 
+    /**
+     * Draw one-way platform visual indicators
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    drawOneWayPlatformDetails(ctx) {
+        // Plank seams, with chevrons showing the platform can be jumped up through
+        ctx.strokeStyle = '#886633';
+        ctx.lineWidth = 1;
+        
+        for (let x = 24; x < this.width; x += 24) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.height);
+            ctx.stroke();
+        }
+        
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        const chevronY = this.height * 0.7;
+        
+        for (let x = 12; x < this.width; x += 24) {
+            ctx.beginPath();
+            ctx.moveTo(x - 4, chevronY + 2);
+            ctx.lineTo(x, chevronY - 2);
+            ctx.lineTo(x + 4, chevronY + 2);
+            ctx.stroke();
+        }
+    }
+
     /**
      * Draw static platform visual details
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -550,7 +650,8 @@ class Platform {
             '#666666': '#888888',
             '#4488ff': '#66aaff',
             '#aa6644': '#cc8866',
-            '#44ff88': '#66ffaa'
+            '#44ff88': '#66ffaa',
+            '#bb9955': '#ddbb77'
         };
         return colorMap[color] || '#888888';
     }
@@ -566,7 +667,8 @@ class Platform {
             '#666666': '#444444',
             '#4488ff': '#2266dd',
             '#aa6644': '#884422',
-            '#44ff88': '#22dd66'
+            '#44ff88': '#22dd66',
+            '#bb9955': '#997733'
         };
         return colorMap[color] || '#444444';
     }
@@ -584,12 +686,61 @@ class Platform {
         };
     }
 
+    /**
+     * Serialize platform to level data
+     * @returns {Object} Platform data with type-specific parameters
+     */
+    toJSON() {
+        const data = {
+            x: this.originalX,
+            y: this.originalY,
+            width: this.width,
+            height: this.height,
+            type: this.type
+        };
+        
+        switch (this.type) {
+            case 'moving':
+                data.moveSpeed = this.moveSpeed;
+                data.moveDistance = this.moveDistance;
+                data.moveAxis = this.moveAxis;
+                break;
+            case 'crumbling':
+                data.crumbleDelay = this.crumbleDelay;
+                break;
+            case 'bouncy':
+                data.bounceForce = this.bounceForce;
+                break;
+        }
+        
+        return data;
+    }
+
+    /**
+     * Create a platform from level data
+     * @param {Object} data - Platform data
+     * @returns {Platform} New platform
+     */
+    static fromJSON(data) {
+        const platform = new Platform(data.x, data.y, data.width, data.height, data.type);
+        
+        for (const param of ['moveSpeed', 'moveDistance', 'moveAxis', 'crumbleDelay', 'bounceForce']) {
+            if (data[param] !== undefined) {
+                platform[param] = data[param];
+            }
+        }
+        
+        return platform;
+    }
+
     /**
      * Reset platform to initial state
      */
     reset() {
         this.x = this.originalX;
         this.y = this.originalY;
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.moveDirection = 1;
         this.crumbleTimer = 0;
         this.isCrumbling = false;
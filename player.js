@@ -1,3 +1,8 @@
+/**
+ * Abilities the player can unlock during a run
+ */
+const PLAYER_ABILITIES = ['dash', 'throw'];
+
 /**
  * Player class - handles player character movement, animation, and physics
  */
@@ -6,10 +11,16 @@ class Player {
         // Position and dimensions
         this.x = x;
         this.y = y;
+        this.previousX = x; // Position at the previous simulation step
+        this.previousY = y;
         this.width = 32;
         this.height = 48;
         
-        // Physics properties
+        // World boundaries (set from the current level)
+        this.worldWidth = 2000;
+        this.worldHeight = 1000;
+        
+        // Physics properties (per 60 Hz frame, scaled by elapsed time)
         this.velocityX = 0;
         this.velocityY = 0;
         this.speed = 5;
@@ -17,19 +28,89 @@ class Player {
         this.gravity = 0.8;
         this.friction = 0.85;
         this.maxFallSpeed = 15;
+        this.bounciness = 1; // Fraction of a bouncy platform's force the player is launched with
         
         // Movement states
         this.isGrounded = false;
+        this.groundPlatform = null; // Platform stood on, which carries the player as it moves
+        this.dropThroughPlatform = null; // One-way platform being dropped down through
         this.canDoubleJump = false;
         this.hasDoubleJumped = false;
         this.facing = 1; // 1 for right, -1 for left
+        this.isJumping = false; // Rising from a jump that can still be cut short
+        
+        // Jump assists (milliseconds)
+        this.coyoteTime = 100; // Grace period to jump after leaving the ground
+        this.coyoteTimer = 0;
+        this.jumpBufferTime = 120; // How long an early jump press is remembered
+        this.jumpBufferTimer = 0;
+        this.jumpCutMultiplier = 0.5; // Upward velocity kept when jump is released early
+        
+        // Wall slide and wall jump
+        this.wallDirection = 0; // Side of the wall being pushed against: -1 left, 1 right, 0 none
+        this.isWallSliding = false;
+        this.wallSlideSpeed = 2.5; // Maximum fall speed while sliding
+        this.wallJumpPowerX = 5; // Horizontal kick away from the wall
+        this.wallJumpPowerY = 13;
+        this.wallJumpLockTime = 150; // Milliseconds before steering works again after a wall jump
+        this.wallJumpLockTimer = 0;
+        
+        // Dash
+        this.abilities = []; // Unlocked abilities (see PLAYER_ABILITIES)
+        this.isDashing = false;
+        this.dashSpeed = 12;
+        this.dashDirection = 1;
+        this.dashTime = 150; // Dash duration in milliseconds
+        this.dashTimer = 0;
+        this.dashCooldown = 500; // Milliseconds between dashes
+        this.dashCooldownTimer = 0;
+        this.dashInvulnerabilityTime = 200; // Milliseconds of invulnerability from the start of a dash
+        this.canAirDash = true; // One dash per jump, restored on landing
+        this.dashTrail = []; // Recent positions drawn behind a dashing player
+        this.dashTrailLength = 6;
+        
+        // Melee attack
+        this.isAttacking = false;
+        this.attackTime = 200; // Milliseconds the hitbox stays out
+        this.attackTimer = 0;
+        this.attackCooldown = 350; // Milliseconds between attacks
+        this.attackCooldownTimer = 0;
+        this.attackDamage = 25;
+        this.attackRange = 28; // Hitbox width in front of the player
+        this.attackKnockback = 6;
+        this.attackHits = []; // Enemies already hit by the current attack
+        
+        // Throwing (unlockable ranged attack)
+        this.throwCooldown = 400; // Milliseconds between throws
+        this.throwCooldownTimer = 0;
+        this.throwSpeed = 9;
+        this.throwLift = -1.5; // Small upward kick so thrown objects arc
+        this.throwGravity = 0.15;
+        this.throwDamage = 15;
+        this.pendingThrow = null; // Projectile settings waiting to be launched by the level
+        
+        // Knockback when hurt
+        this.knockbackForce = 6;
+        this.hitStunTime = 250; // Milliseconds without control after being knocked back
+        this.hitStunTimer = 0;
         
         // Health system
         this.maxHealth = 100;
         this.health = this.maxHealth;
         this.invulnerable = false;
         this.invulnerabilityTime = 1000; // 1 second in milliseconds
-        this.lastDamageTime = 0;
+        this.invulnerabilityTimer = 0;
+        
+        // Power-ups (timed effects that scale the base stats below)
+        this.magnetStrength = 1; // Multiplier on the collectible attraction range
+        this.scoreMultiplier = 1;
+        this.powerUps = [];
+        this.baseStats = {
+            speed: this.speed,
+            jumpPower: this.jumpPower,
+            magnetStrength: this.magnetStrength,
+            scoreMultiplier: this.scoreMultiplier
+        };
         
         // Animation properties
         this.animationFrame = 0;
@@ -46,21 +127,32 @@ class Player {
             idle: { frames: 4, row: 0 },
             walk: { frames: 6, row: 1 },
             jump: { frames: 4, row: 2 },
-            fall: { frames: 2, row: 3 }
+            fall: { frames: 2, row: 3 },
+            wallSlide: { frames: 2, row: 4 },
+            dash: { frames: 1, row: 5 },
+            attack: { frames: 3, row: 6 }
         };
         
         // Input states
         this.keys = {
             left: false,
             right: false,
+            down: false,
             jump: false,
-            jumpPressed: false
+            jumpPressed: false,
+            dash: false,
+            dashPressed: false,
+            attack: false,
+            attackPressed: false,
+            throw: false,
+            throwPressed: false
         };
         
         // Checkpoint system
         this.checkpointX = x;
         this.checkpointY = y;
         this.lastCheckpointHealth = this.maxHealth;
+        this.onCheckpoint = null; // Called with (x, y) whenever a checkpoint is set
     }
 
     /**
@@ -69,42 +161,113 @@ class Player {
      * @param {Array} platforms - Array of platform objects for collision
      */
     update(deltaTime, platforms) {
-        this.handleInput();
+        this.previousX = this.x;
+        this.previousY = this.y;
+        
+        this.handleInput(deltaTime);
+        this.updateDash(deltaTime);
+        this.updateAttack(deltaTime);
+        if (this.throwCooldownTimer > 0) {
+            this.throwCooldownTimer -= deltaTime;
+        }
         this.updatePhysics(deltaTime);
         this.handlePlatformCollisions(platforms);
         this.updateAnimation(deltaTime);
-        this.updateInvulnerability();
+        this.updateInvulnerability(deltaTime);
+        this.updatePowerUps(deltaTime);
         this.constrainToWorld();
     }
 
     /**
      * Handle player input for movement
+     * @param {number} deltaTime - Time since last frame
      */
-    handleInput() {
+    handleInput(deltaTime) {
+        const frames = frameScale(deltaTime);
+        
+        // Steering is locked briefly after a wall jump so the kick carries the player away
+        if (this.wallJumpLockTimer > 0) {
+            this.wallJumpLockTimer -= deltaTime;
+        }
+        
+        // Being knocked back takes away control for a moment
+        if (this.hitStunTimer > 0) {
+            this.hitStunTimer -= deltaTime;
+        }
+        const stunned = this.hitStunTimer > 0;
+        const canSteer = this.wallJumpLockTimer <= 0 && !stunned;
+        
         // Horizontal movement
-        if (this.keys.left) {
-            this.velocityX -= this.speed * 0.3;
+        if (this.keys.left && canSteer) {
+            this.velocityX -= this.speed * 0.3 * frames;
             this.facing = -1;
         }
-        if (this.keys.right) {
-            this.velocityX += this.speed * 0.3;
+        if (this.keys.right && canSteer) {
+            this.velocityX += this.speed * 0.3 * frames;
             this.facing = 1;
         }
 
-        // Jumping (with double jump)
-        if (this.keys.jumpPressed && !this.keys.jump) {
-            if (this.isGrounded) {
+        // Coyote time: jumping stays possible shortly after leaving the ground
+        if (this.isGrounded) {
+            this.coyoteTimer = this.coyoteTime;
+        } else if (this.coyoteTimer > 0) {
+            this.coyoteTimer -= deltaTime;
+        }
+        
+        // Jump buffer: a press shortly before landing still jumps
+        const jumpJustPressed = this.keys.jumpPressed && !this.keys.jump;
+        if (jumpJustPressed) {
+            this.jumpBufferTimer = this.jumpBufferTime;
+        } else if (this.jumpBufferTimer > 0) {
+            this.jumpBufferTimer -= deltaTime;
+        }
+
+        // Jumping (with wall jump and double jump); down+jump drops through one-way platforms instead
+        if (this.jumpBufferTimer > 0 && !stunned) {
+            if (this.keys.down && this.canDropThrough()) {
+                this.dropThrough();
+                this.jumpBufferTimer = 0;
+            } else if (this.isWallSliding) {
+                this.wallJump();
+                this.jumpBufferTimer = 0;
+            } else if (this.coyoteTimer > 0) {
                 this.jump();
                 this.canDoubleJump = true;
                 this.hasDoubleJumped = false;
-            } else if (this.canDoubleJump && !this.hasDoubleJumped) {
+                this.jumpBufferTimer = 0;
+            } else if (jumpJustPressed && this.canDoubleJump && !this.hasDoubleJumped) {
                 this.jump();
                 this.hasDoubleJumped = true;
                 this.canDoubleJump = false;
+                this.jumpBufferTimer = 0;
             }
         }
         
+        // Variable jump height: releasing jump early cuts the rise short
+        if (this.isJumping && !this.keys.jumpPressed && this.velocityY < 0) {
+            this.velocityY *= this.jumpCutMultiplier;
+            this.isJumping = false;
+        }
+        
+        // Dashing
+        if (this.keys.dashPressed && !this.keys.dash && this.canDash()) {
+            this.startDash();
+        }
+        
+        // Attacking
+        if (this.keys.attackPressed && !this.keys.attack && this.canAttack()) {
+            this.startAttack();
+        }
+        
+        // Throwing
+        if (this.keys.throwPressed && !this.keys.throw && this.canThrow()) {
+            this.startThrow();
+        }
+        
         this.keys.jump = this.keys.jumpPressed;
+        this.keys.dash = this.keys.dashPressed;
+        this.keys.attack = this.keys.attackPressed;
+        this.keys.throw = this.keys.throwPressed;
     }
 
     /**
@@ -113,33 +276,264 @@ class Player {
     jump() {
         this.velocityY = -this.jumpPower;
         this.isGrounded = false;
+        this.isJumping = true;
+        this.coyoteTimer = 0;
+        audioManager.play('jump', 0.5);
+    }
+
+    /**
+     * Check if the player is standing on a platform they can drop down through
+     * @returns {boolean} True if on a one-way platform
+     */
+    canDropThrough() {
+        return this.groundPlatform !== null && this.groundPlatform.type === 'oneWay';
+    }
+
+    /**
+     * Drop down through the one-way platform being stood on
+     */
+    dropThrough() {
+        this.dropThroughPlatform = this.groundPlatform;
+        this.groundPlatform = null;
+        this.isGrounded = false;
+        this.coyoteTimer = 0;
+    }
+
+    /**
+     * Jump off the wall being slid down
+     */
+    wallJump() {
+        this.velocityX = -this.wallDirection * this.wallJumpPowerX;
+        this.velocityY = -this.wallJumpPowerY;
+        this.facing = -this.wallDirection;
+        this.wallJumpLockTimer = this.wallJumpLockTime;
+        this.isJumping = true;
+        this.wallDirection = 0;
+        this.isWallSliding = false;
+        
+        // A wall jump gives the double jump back
+        this.canDoubleJump = true;
+        this.hasDoubleJumped = false;
+        
         audioManager.play('jump', 0.5);
     }
 
+    /**
+     * Check if an ability has been unlocked
+     * @param {string} ability - Ability name
+     * @returns {boolean} True if the player has the ability
+     */
+    hasAbility(ability) {
+        return this.abilities.includes(ability);
+    }
+
+    /**
+     * Set the unlocked abilities
+     * @param {Array} abilities - Ability names
+     */
+    setAbilities(abilities) {
+        this.abilities = [...abilities];
+    }
+
+    /**
+     * Check if a dash can start
+     * @returns {boolean} True if the player can dash
+     */
+    canDash() {
+        return this.hasAbility('dash') && !this.isDashing && this.dashCooldownTimer <= 0 &&
+               this.hitStunTimer <= 0 && (this.isGrounded || this.canAirDash);
+    }
+
+    /**
+     * Start a dash in the held direction (or the facing direction)
+     */
+    startDash() {
+        if (this.keys.left !== this.keys.right) {
+            this.facing = this.keys.left ? -1 : 1;
+        }
+        
+        this.isDashing = true;
+        this.isJumping = false;
+        this.isWallSliding = false;
+        this.dashDirection = this.facing;
+        this.dashTimer = this.dashTime;
+        this.dashCooldownTimer = this.dashCooldown;
+        if (!this.isGrounded) {
+            this.canAirDash = false;
+        }
+        
+        // Dashing through enemies relies on the regular invulnerability
+        this.invulnerable = true;
+        this.invulnerabilityTimer = Math.max(this.invulnerabilityTimer, this.dashInvulnerabilityTime);
+        
+        audioManager.play('jump', 0.3);
+    }
+
+    /**
+     * End the current dash, keeping running speed
+     */
+    endDash() {
+        this.isDashing = false;
+        this.dashTimer = 0;
+        this.velocityX = this.dashDirection * this.speed;
+    }
+
+    /**
+     * Update dash movement, cooldown and trail
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateDash(deltaTime) {
+        if (this.dashCooldownTimer > 0) {
+            this.dashCooldownTimer -= deltaTime;
+        }
+        
+        if (this.isDashing) {
+            // Straight line at dash speed, unaffected by gravity
+            this.velocityX = this.dashDirection * this.dashSpeed;
+            this.velocityY = 0;
+            
+            this.dashTimer -= deltaTime;
+            if (this.dashTimer <= 0) {
+                this.endDash();
+            }
+        }
+        
+        // Trail follows the dash and fades out once it ends
+        if (this.isDashing) {
+            this.dashTrail.push({ x: this.x, y: this.y, facing: this.facing });
+        }
+        if (this.dashTrail.length > this.dashTrailLength || (!this.isDashing && this.dashTrail.length > 0)) {
+            this.dashTrail.shift();
+        }
+    }
+
+    /**
+     * Check if an attack can start
+     * @returns {boolean} True if the player can attack
+     */
+    canAttack() {
+        return !this.isAttacking && !this.isDashing && this.attackCooldownTimer <= 0 && this.hitStunTimer <= 0;
+    }
+
+    /**
+     * Start a melee attack in the facing direction
+     */
+    startAttack() {
+        this.isAttacking = true;
+        this.attackTimer = this.attackTime;
+        this.attackCooldownTimer = this.attackCooldown;
+        this.attackHits = [];
+        audioManager.play('jump', 0.2);
+    }
+
+    /**
+     * Update attack duration and cooldown
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateAttack(deltaTime) {
+        if (this.attackCooldownTimer > 0) {
+            this.attackCooldownTimer -= deltaTime;
+        }
+        
+        if (this.isAttacking) {
+            this.attackTimer -= deltaTime;
+            if (this.attackTimer <= 0) {
+                this.isAttacking = false;
+            }
+        }
+    }
+
+    /**
+     * Check if a throw can start
+     * @returns {boolean} True if the player can throw
+     */
+    canThrow() {
+        return this.hasAbility('throw') && !this.isDashing && this.throwCooldownTimer <= 0 && this.hitStunTimer <= 0;
+    }
+
+    /**
+     * Throw a projectile in the facing direction
+     * The game hands pendingThrow to the level after the player update.
+     */
+    startThrow() {
+        this.throwCooldownTimer = this.throwCooldown;
+        this.pendingThrow = {
+            x: this.x + this.width / 2 + this.facing * this.width / 2,
+            y: this.y + this.height / 2,
+            velocityX: this.facing * this.throwSpeed + this.velocityX * 0.5,
+            velocityY: this.throwLift,
+            gravity: this.throwGravity,
+            lifetime: 2000,
+            owner: 'player',
+            damage: this.throwDamage,
+            knockback: 4,
+            size: 8
+        };
+        audioManager.play('jump', 0.2);
+    }
+
+    /**
+     * Get the attack hitbox in front of the player
+     * @returns {Object} Rectangle object with x, y, width, height
+     */
+    getAttackHitbox() {
+        return {
+            x: this.facing === 1 ? this.x + this.width : this.x - this.attackRange,
+            y: this.y + 8,
+            width: this.attackRange,
+            height: this.height - 16
+        };
+    }
+
+    /**
+     * Hit enemies inside the attack hitbox (each enemy at most once per attack)
+     * @param {Array} enemies - Enemies to check
+     * @returns {Array} Enemies hit this step
+     */
+    attackEnemies(enemies) {
+        if (!this.isAttacking) return [];
+        
+        const hitbox = this.getAttackHitbox();
+        const hits = enemies.filter(enemy =>
+            enemy.isAlive && !this.attackHits.includes(enemy) && checkCollision(hitbox, enemy)
+        );
+        
+        for (const enemy of hits) {
+            this.attackHits.push(enemy);
+            enemy.takeHit(this.attackDamage, this.facing, this.attackKnockback);
+        }
+        
+        return hits;
+    }
+
     /**
      * Update physics (gravity, friction, velocity)
      * @param {number} deltaTime - Time since last frame
      */
     updatePhysics(deltaTime) {
+        const frames = frameScale(deltaTime);
+        
         // Apply gravity
-        if (!this.isGrounded) {
-            this.velocityY += this.gravity;
+        if (!this.isGrounded && !this.isDashing) {
+            this.velocityY += this.gravity * frames;
         }
 
         // Apply friction when grounded
         if (this.isGrounded) {
-            this.velocityX *= this.friction;
+            this.velocityX *= Math.pow(this.friction, frames);
         } else {
-            this.velocityX *= 0.98; // Air resistance
+            this.velocityX *= Math.pow(0.98, frames); // Air resistance
         }
 
-        // Limit velocities
-        this.velocityX = clamp(this.velocityX, -this.speed, this.speed);
-        this.velocityY = clamp(this.velocityY, -this.jumpPower * 1.2, this.maxFallSpeed);
+        // Limit velocities (sliding down a wall caps the fall speed)
+        const maxFallSpeed = this.isWallSliding ? this.wallSlideSpeed : this.maxFallSpeed;
+        const maxSpeed = this.isDashing ? this.dashSpeed : this.speed;
+        this.velocityX = clamp(this.velocityX, -maxSpeed, maxSpeed);
+        this.velocityY = clamp(this.velocityY, -this.jumpPower * 1.2, maxFallSpeed);
 
         // Update position
-        this.x += this.velocityX;
-        this.y += this.velocityY;
+        this.x += this.velocityX * frames;
+        this.y += this.velocityY * frames;
     }
 
     /**
@@ -148,41 +542,52 @@ class Player {
      */
     handlePlatformCollisions(platforms) {
         this.isGrounded = false;
+        this.wallDirection = 0;
 
-        for (const platform of platforms) {
-            if (checkCollision(this, platform)) {
-                // Determine collision direction
-                const overlapX = Math.min(this.x + this.width - platform.x, platform.x + platform.width - this.x);
-                const overlapY = Math.min(this.y + this.height - platform.y, platform.y + platform.height - this.y);
-
-                if (overlapX < overlapY) {
-                    // Horizontal collision
-                    if (this.x < platform.x) {
-                        // Hit from left
-                        this.x = platform.x - this.width;
-                        this.velocityX = 0;
-                    } else {
-                        // Hit from right
-                        this.x = platform.x + platform.width;
-                        this.velocityX = 0;
-                    }
-                } else {
-                    // Vertical collision
-                    if (this.y < platform.y) {
-                        // Landing on top
-                        this.y = platform.y - this.height;
-                        this.velocityY = 0;
-                        this.isGrounded = true;
-                        this.canDoubleJump = false;
-                        this.hasDoubleJumped = false;
-                    } else {
-                        // Hit from below
-                        this.y = platform.y + platform.height;
-                        this.velocityY = 0;
-                    }
-                }
+        for (const collision of Platform.resolveCollisions(this, platforms)) {
+            switch (collision.side) {
+                case 'top':
+                    this.land(collision.bounced);
+                    break;
+                case 'left':
+                    // Hit from left
+                    this.wallDirection = 1;
+                    break;
+                case 'right':
+                    // Hit from right
+                    this.wallDirection = -1;
+                    break;
             }
         }
+        
+        this.updateWallSlide();
+    }
+
+    /**
+     * Land on top of a platform
+     * @param {boolean} bounced - Whether a bouncy platform launched the player straight back up
+     */
+    land(bounced) {
+        this.isGrounded = !bounced;
+        this.isJumping = false;
+        this.canAirDash = true;
+        this.canDoubleJump = false;
+        this.hasDoubleJumped = false;
+    }
+
+    /**
+     * Start or stop sliding down a wall
+     * Sliding needs the player to be falling while pushing into a wall mid-air.
+     */
+    updateWallSlide() {
+        const pushingIntoWall = (this.wallDirection === 1 && this.keys.right) ||
+                                (this.wallDirection === -1 && this.keys.left);
+        
+        this.isWallSliding = !this.isGrounded && pushingIntoWall && this.velocityY > 0;
+        
+        if (this.isWallSliding) {
+            this.facing = this.wallDirection;
+        }
     }
 
     /**
@@ -193,7 +598,13 @@ class Player {
         // Determine current animation
         let newAnimation = 'idle';
         
-        if (!this.isGrounded) {
+        if (this.isDashing) {
+            newAnimation = 'dash';
+        } else if (this.isAttacking) {
+            newAnimation = 'attack';
+        } else if (this.isWallSliding) {
+            newAnimation = 'wallSlide';
+        } else if (!this.isGrounded) {
             newAnimation = this.velocityY < 0 ? 'jump' : 'fall';
         } else if (Math.abs(this.velocityX) > 0.5) {
             newAnimation = 'walk';
@@ -220,11 +631,12 @@ class Player {
 
     /**
      * Update invulnerability status
+     * @param {number} deltaTime - Time since last frame
      */
-    updateInvulnerability() {
+    updateInvulnerability(deltaTime) {
         if (this.invulnerable) {
-            const currentTime = getTimestamp();
-            if (currentTime - this.lastDamageTime >= this.invulnerabilityTime) {
+            this.invulnerabilityTimer -= deltaTime;
+            if (this.invulnerabilityTimer <= 0) {
                 this.invulnerable = false;
             }
         }
@@ -235,34 +647,130 @@ class Player {
      */
     constrainToWorld() {
         // Prevent going through left and right boundaries
-        this.x = clamp(this.x, 0, 2000 - this.width); // Assuming world width of 2000
+        this.x = clamp(this.x, 0, this.worldWidth - this.width);
         
-        // Handle falling off the world (death)
-        if (this.y > 1000) { // Assuming world height of 1000
-            this.takeDamage(this.health); // Kill player
+        // Handle falling off the world (death, even while invulnerable)
+        if (this.y > this.worldHeight) {
+            this.health = 0; // Kill player
         }
     }
 
+    /**
+     * Set the world boundaries the player is kept within
+     * @param {number} width - World width
+     * @param {number} height - World height
+     */
+    setWorldBounds(width, height) {
+        this.worldWidth = width;
+        this.worldHeight = height;
+    }
+
     /**
      * Take damage and handle invulnerability
      * @param {number} damage - Amount of damage to take
+     * @param {number} knockbackDirection - Direction to knock the player back (0 for none)
      * @returns {boolean} True if damage was applied
      */
-    takeDamage(damage) {
-        if (this.invulnerable) return false;
+    takeDamage(damage, knockbackDirection = 0) {
+        if (this.invulnerable || this.hasPowerUp('invincibility')) return false;
 
         this.health -= damage;
         this.health = Math.max(0, this.health);
         
         if (this.health > 0) {
             this.invulnerable = true;
-            this.lastDamageTime = getTimestamp();
+            this.invulnerabilityTimer = this.invulnerabilityTime;
             audioManager.play('hit', 0.7);
+            
+            if (knockbackDirection !== 0) {
+                this.knockback(knockbackDirection);
+            }
         }
 
         return true;
     }
 
+    /**
+     * Knock the player back and briefly take away control
+     * @param {number} direction - Direction to push the player (-1 left, 1 right)
+     */
+    knockback(direction) {
+        this.velocityX = direction * this.knockbackForce;
+        this.velocityY = -this.knockbackForce;
+        this.isGrounded = false;
+        this.isJumping = false;
+        this.isWallSliding = false;
+        this.hitStunTimer = this.hitStunTime;
+        
+        if (this.isDashing) {
+            this.isDashing = false;
+            this.dashTimer = 0;
+        }
+        this.isAttacking = false;
+    }
+
+    /**
+     * Start a power-up, or restart it if it's already active
+     * Different power-ups stack; each runs on its own timer.
+     * @param {string} type - Power-up type (key of POWER_UP_TYPES)
+     * @returns {PowerUp} Active power-up
+     */
+    addPowerUp(type) {
+        let powerUp = this.powerUps.find(active => active.type === type);
+        
+        if (powerUp) {
+            powerUp.refresh();
+        } else {
+            powerUp = new PowerUp(type);
+            this.powerUps.push(powerUp);
+            this.applyPowerUpStats();
+        }
+        
+        return powerUp;
+    }
+
+    /**
+     * Check if a power-up is active
+     * @param {string} type - Power-up type
+     * @returns {boolean} True if active
+     */
+    hasPowerUp(type) {
+        return this.powerUps.some(powerUp => powerUp.type === type);
+    }
+
+    /**
+     * Count down active power-ups and drop expired ones
+     * @param {number} deltaTime - Time since last frame
+     */
+    updatePowerUps(deltaTime) {
+        if (this.powerUps.length === 0) return;
+        
+        this.powerUps.forEach(powerUp => powerUp.update(deltaTime));
+        
+        const active = this.powerUps.filter(powerUp => !powerUp.isExpired());
+        if (active.length !== this.powerUps.length) {
+            this.powerUps = active;
+            this.applyPowerUpStats();
+        }
+    }
+
+    /**
+     * Remove every active power-up
+     */
+    clearPowerUps() {
+        this.powerUps = [];
+        this.applyPowerUpStats();
+    }
+
+    /**
+     * Recalculate stats from the base values and the active power-ups
+     */
+    applyPowerUpStats() {
+        for (const [stat, baseValue] of Object.entries(this.baseStats)) {
+            this[stat] = this.powerUps.reduce((value, powerUp) => value * powerUp.getMultiplier(stat), baseValue);
+        }
+    }
+
     /**
      * Heal the player
      * @param {number} amount - Amount of health to restore
@@ -289,6 +797,10 @@ class Player {
         this.checkpointY = y;
         this.lastCheckpointHealth = this.health;
         audioManager.play('checkpoint', 0.6);
+        
+        if (this.onCheckpoint) {
+            this.onCheckpoint(x, y);
+        }
     }
 
     /**
@@ -297,12 +809,35 @@ class Player {
     respawn() {
         this.x = this.checkpointX;
         this.y = this.checkpointY;
+        this.previousX = this.x;
+        this.previousY = this.y;
         this.velocityX = 0;
         this.velocityY = 0;
         this.health = this.lastCheckpointHealth;
         this.invulnerable = true;
-        this.lastDamageTime = getTimestamp();
+        this.invulnerabilityTimer = this.invulnerabilityTime;
         this.isGrounded = false;
+        this.groundPlatform = null;
+        this.dropThroughPlatform = null;
+        this.wallDirection = 0;
+        this.isWallSliding = false;
+        this.wallJumpLockTimer = 0;
+        this.isJumping = false;
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        this.isDashing = false;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        this.canAirDash = true;
+        this.dashTrail = [];
+        this.isAttacking = false;
+        this.attackTimer = 0;
+        this.attackCooldownTimer = 0;
+        this.attackHits = [];
+        this.throwCooldownTimer = 0;
+        this.pendingThrow = null;
+        this.hitStunTimer = 0;
+        this.clearPowerUps();
     }
 
     /**
@@ -313,43 +848,85 @@ class Player {
     reset(x, y) {
         this.x = x;
         this.y = y;
+        this.previousX = x;
+        this.previousY = y;
         this.velocityX = 0;
         this.velocityY = 0;
         this.health = this.maxHealth;
         this.invulnerable = false;
+        this.invulnerabilityTimer = 0;
         this.isGrounded = false;
+        this.groundPlatform = null;
+        this.dropThroughPlatform = null;
         this.facing = 1;
         this.checkpointX = x;
         this.checkpointY = y;
         this.lastCheckpointHealth = this.maxHealth;
         this.canDoubleJump = false;
         this.hasDoubleJumped = false;
+        this.wallDirection = 0;
+        this.isWallSliding = false;
+        this.wallJumpLockTimer = 0;
+        this.isJumping = false;
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        this.isDashing = false;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        this.canAirDash = true;
+        this.dashTrail = [];
+        this.isAttacking = false;
+        this.attackTimer = 0;
+        this.attackCooldownTimer = 0;
+        this.attackHits = [];
+        this.throwCooldownTimer = 0;
+        this.pendingThrow = null;
+        this.hitStunTimer = 0;
+        this.clearPowerUps();
+        this.keys = {
+            left: false,
+            right: false,
+            down: false,
+            jump: false,
+            jumpPressed: false,
+            dash: false,
+            dashPressed: false,
+            attack: false,
+            attackPressed: false,
+            throw: false,
+            throwPressed: false
+        };
     }
 
     /**
      * Render the player with animation
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} camera - Camera object for offset calculation
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
      */
-    render(ctx, camera) {
-        // Calculate screen position
-        const screenX = this.x - camera.x;
-        const screenY = this.y - camera.y;
+    render(ctx, camera, interpolation = 1) {
+        // Calculate screen position between the last two simulation steps
+        const screenX = lerp(this.previousX, this.x, interpolation) - camera.x;
+        const screenY = lerp(this.previousY, this.y, interpolation) - camera.y;
 
         // Don't render if off-screen
-        if (screenX + this.width < 0 || screenX > ctx.canvas.width ||
-            screenY + this.height < 0 || screenY > ctx.canvas.height) {
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
             return;
         }
 
+        this.renderDashTrail(ctx, camera);
+        
+        if (this.hasPowerUp('invincibility')) {
+            this.renderInvincibilityAura(ctx, screenX, screenY);
+        }
+
         ctx.save();
 
-        // Apply invulnerability flashing effect
-        if (this.invulnerable) {
+        // Apply invulnerability flashing effect (not for dash invulnerability)
+        if (this.invulnerable && !this.isDashing) {
             const flashInterval = 100; // Flash every 100ms
-            const currentTime = getTimestamp();
-            const timeSinceDamage = currentTime - this.lastDamageTime;
-            if (Math.floor(timeSinceDamage / flashInterval) % 2 === 0) {
+            if (Math.floor(this.invulnerabilityTimer / flashInterval) % 2 === 0) {
                 ctx.globalAlpha = 0.5;
             }
         }
@@ -369,6 +946,47 @@ class Player {
         ctx.restore();
     }
 
+    /**
+     * Render fading afterimages along the dash path
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} camera - Camera object for offset calculation
+     */
+    renderDashTrail(ctx, camera) {
+        if (this.dashTrail.length === 0) return;
+        
+        ctx.save();
+        ctx.fillStyle = '#88ccff';
+        
+        this.dashTrail.forEach((position, index) => {
+            ctx.globalAlpha = 0.4 * (index + 1) / (this.dashTrail.length + 1);
+            ctx.fillRect(position.x - camera.x + 8, position.y - camera.y + 4, 16, 40);
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Render a pulsing glow around an invincible player
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     */
+    renderInvincibilityAura(ctx, screenX, screenY) {
+        // Pulse off the power-up's remaining time so it follows the simulation (and stops when paused)
+        const invincibility = this.powerUps.find(powerUp => powerUp.type === 'invincibility');
+        const pulse = 0.5 + Math.sin(invincibility.timer * 0.01) * 0.2;
+        
+        ctx.save();
+        ctx.globalAlpha = pulse;
+        ctx.fillStyle = POWER_UP_TYPES.invincibility.color;
+        ctx.shadowColor = POWER_UP_TYPES.invincibility.color;
+        ctx.shadowBlur = 20;
+        ctx.beginPath();
+        ctx.ellipse(screenX + this.width / 2, screenY + this.height / 2, this.width, this.height * 0.7, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
     /**
      * Draw a simple sprite representation
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -378,7 +996,8 @@ class Player {
         const animation = this.animations[this.currentAnimation];
         
         // Body
-        ctx.fillStyle = this.invulnerable && Math.floor(getTimestamp() / 100) % 2 ? '#ff6666' : '#4488ff';
+        const flashing = this.invulnerable && !this.isDashing && Math.floor(this.invulnerabilityTimer / 100) % 2;
+        ctx.fillStyle = flashing ? '#ff6666' : '#4488ff';
         ctx.fillRect(8, screenY + 16, 16, 24);
         
         // Head
@@ -390,12 +1009,16 @@ class Player {
         ctx.fillRect(12, screenY + 7, 2, 2);
         ctx.fillRect(18, screenY + 7, 2, 2);
         
-        // Arms (animated based on walking)
+        // Arms (animated based on walking, front hand raised against the wall when sliding)
         ctx.fillStyle = '#ffcc88';
         const armOffset = this.currentAnimation === 'walk' ? 
             Math.sin(this.animationFrame * 0.5) * 2 : 0;
         ctx.fillRect(4, screenY + 18 + armOffset, 4, 12);
-        ctx.fillRect(24, screenY + 18 - armOffset, 4, 12);
+        if (this.currentAnimation === 'wallSlide') {
+            ctx.fillRect(26, screenY + 6, 4, 12);
+        } else {
+            ctx.fillRect(24, screenY + 18 - armOffset, 4, 12);
+        }
         
         // Legs (animated based on walking)
         ctx.fillStyle = '#2266aa';
@@ -410,6 +1033,25 @@ class Player {
             ctx.fillRect(6, screenY + 2, 4, 4);
             ctx.fillRect(22, screenY + 2, 4, 4);
         }
+        
+        // Attack swipe in front of the player
+        if (this.currentAnimation === 'attack') {
+            const swing = this.animationFrame / this.animations.attack.frames;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(this.width - 4, screenY + this.height / 2, this.attackRange,
+                -Math.PI / 2 + swing * 0.5, Math.PI / 3);
+            ctx.stroke();
+        }
+        
+        // Dash speed lines
+        if (this.currentAnimation === 'dash') {
+            ctx.fillStyle = '#aaddff';
+            ctx.fillRect(-10, screenY + 20, 10, 2);
+            ctx.fillRect(-14, screenY + 28, 12, 2);
+            ctx.fillRect(-8, screenY + 36, 8, 2);
+        }
     }
 
     /**
@@ -438,12 +1080,14 @@ class Player {
 
     /**
      * Set input state for a specific key
-     * @param {string} key - Key name ('left', 'right', 'jump')
+     * @param {string} key - Key name ('left', 'right', 'down', 'jump', 'dash', 'attack', 'throw')
      * @param {boolean} pressed - Whether the key is pressed
      */
     setInput(key, pressed) {
-        if (key === 'jump') {
-            this.keys.jumpPressed = pressed;
+        // Press-triggered actions keep last step's state in keys[key] to detect new presses
+        const pressedKey = `${key}Pressed`;
+        if (pressedKey in this.keys) {
+            this.keys[pressedKey] = pressed;
         } else {
             this.keys[key] = pressed;
         }
@@ -0,0 +1,104 @@
+/**
+ * Power-up registry - every timed effect a collectible can grant
+ * Stats are multipliers applied to the player's base value while the effect is active.
+ */
+const POWER_UP_TYPES = {
+    invincibility: {
+        label: 'Invincible',
+        icon: '★',
+        color: '#ffdd00',
+        duration: 8000, // milliseconds
+        stats: {}
+    },
+    speedBoost: {
+        label: 'Speed',
+        icon: '»',
+        color: '#44ee88',
+        duration: 10000,
+        stats: { speed: 1.5 }
+    },
+    highJump: {
+        label: 'High Jump',
+        icon: '↑',
+        color: '#66aaff',
+        duration: 10000,
+        stats: { jumpPower: 1.3 }
+    },
+    magnet: {
+        label: 'Magnet',
+        icon: 'U',
+        color: '#ff66cc',
+        duration: 12000,
+        stats: { magnetStrength: 4 }
+    },
+    scoreMultiplier: {
+        label: 'Score x2',
+        icon: '×2',
+        color: '#ffaa00',
+        duration: 15000,
+        stats: { scoreMultiplier: 2 }
+    }
+};
+
+/**
+ * PowerUp class - a timed effect active on the player
+ */
+class PowerUp {
+    /**
+     * @param {string} type - Power-up type (key of POWER_UP_TYPES)
+     */
+    constructor(type) {
+        const definition = POWER_UP_TYPES[type];
+        if (!definition) {
+            throw new Error(`Unknown power-up type: ${type}`);
+        }
+
+        this.type = type;
+        this.label = definition.label;
+        this.icon = definition.icon;
+        this.color = definition.color;
+        this.stats = definition.stats;
+        this.duration = definition.duration;
+        this.timer = this.duration;
+    }
+
+    /**
+     * Count down the remaining time
+     * @param {number} deltaTime - Time since last frame
+     */
+    update(deltaTime) {
+        this.timer = Math.max(0, this.timer - deltaTime);
+    }
+
+    /**
+     * Restart the effect at full duration (when the same power-up is collected again)
+     */
+    refresh() {
+        this.timer = this.duration;
+    }
+
+    /**
+     * Check if the effect has run out
+     * @returns {boolean} True if expired
+     */
+    isExpired() {
+        return this.timer <= 0;
+    }
+
+    /**
+     * Get the fraction of the duration left
+     * @returns {number} Remaining fraction (0-1)
+     */
+    getRemainingFraction() {
+        return this.timer / this.duration;
+    }
+
+    /**
+     * Get the multiplier this effect applies to a stat
+     * @param {string} stat - Player stat name
+     * @returns {number} Multiplier (1 if the stat isn't affected)
+     */
+    getMultiplier(stat) {
+        return this.stats[stat] !== undefined ? this.stats[stat] : 1;
+    }
+}
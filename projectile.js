@@ -0,0 +1,172 @@
+/**
+ * Projectile class - thrown or fired objects that hurt whoever they hit
+ * Instances are pooled by Level and reused through spawn().
+ */
+class Projectile {
+    constructor() {
+        // Position and dimensions
+        this.x = 0;
+        this.y = 0;
+        this.previousX = 0; // Position at the previous simulation step
+        this.previousY = 0;
+        this.width = 10;
+        this.height = 10;
+
+        // Physics properties (per 60 Hz frame, scaled by elapsed time)
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.gravity = 0; // 0 for straight shots, positive for arcing throws
+
+        // Behaviour
+        this.owner = 'enemy'; // 'player' projectiles hit enemies, 'enemy' projectiles hit the player
+        this.damage = 10;
+        this.knockback = 4;
+        this.lifetime = 0; // Milliseconds left before the projectile disappears
+        this.color = '#ff4444';
+        this.rotation = 0;
+
+        // Pooling
+        this.active = false;
+    }
+
+    /**
+     * Launch the projectile
+     * @param {Object} options - Projectile settings
+     * @param {number} options.x - Center X position
+     * @param {number} options.y - Center Y position
+     * @param {number} options.velocityX - Horizontal velocity
+     * @param {number} options.velocityY - Vertical velocity
+     * @param {number} options.gravity - Gravity applied each frame
+     * @param {number} options.lifetime - Milliseconds before disappearing
+     * @param {string} options.owner - 'player' or 'enemy'
+     * @param {number} options.damage - Damage dealt on hit
+     * @param {number} options.knockback - Knockback speed applied to enemies
+     * @param {number} options.size - Width and height
+     * @param {string} options.color - Fill color
+     * @returns {Projectile} This projectile
+     */
+    spawn(options) {
+        const {
+            x,
+            y,
+            velocityX = 0,
+            velocityY = 0,
+            gravity = 0,
+            lifetime = 2000,
+            owner = 'enemy',
+            damage = 10,
+            knockback = 4,
+            size = 10,
+            color = owner === 'player' ? '#88ddff' : '#ff4444'
+        } = options;
+
+        this.width = size;
+        this.height = size;
+        this.x = x - size / 2;
+        this.y = y - size / 2;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        this.gravity = gravity;
+        this.lifetime = lifetime;
+        this.owner = owner;
+        this.damage = damage;
+        this.knockback = knockback;
+        this.color = color;
+        this.rotation = 0;
+        this.active = true;
+
+        return this;
+    }
+
+    /**
+     * Update movement, lifetime and platform collisions
+     * @param {number} deltaTime - Time since last frame
+     * @param {Array} platforms - Array of platform objects
+     */
+    update(deltaTime, platforms) {
+        if (!this.active) return;
+
+        const frames = frameScale(deltaTime);
+        this.previousX = this.x;
+        this.previousY = this.y;
+
+        this.velocityY += this.gravity * frames;
+        this.x += this.velocityX * frames;
+        this.y += this.velocityY * frames;
+        this.rotation += 0.3 * frames;
+
+        this.lifetime -= deltaTime;
+        if (this.lifetime <= 0) {
+            this.deactivate();
+            return;
+        }
+
+        // Projectiles break on solid ground
+        for (const platform of platforms) {
+            if (platform.providesCollision() && checkCollision(this, platform)) {
+                this.deactivate();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Check if the projectile hits a target
+     * @param {Object} target - Player or enemy
+     * @returns {boolean} True if the projectile overlaps the target
+     */
+    hits(target) {
+        return this.active && checkCollision(this, target);
+    }
+
+    /**
+     * Get the direction the projectile is travelling in
+     * @returns {number} -1 for left, 1 for right
+     */
+    getDirection() {
+        return this.velocityX < 0 ? -1 : 1;
+    }
+
+    /**
+     * Return the projectile to the pool
+     */
+    deactivate() {
+        this.active = false;
+    }
+
+    /**
+     * Render the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} camera - Camera object for offset calculation
+     * @param {number} interpolation - Fraction of the next simulation step elapsed (0-1)
+     */
+    render(ctx, camera, interpolation = 1) {
+        if (!this.active) return;
+
+        const screenX = lerp(this.previousX, this.x, interpolation) - camera.x;
+        const screenY = lerp(this.previousY, this.y, interpolation) - camera.y;
+
+        // Don't render if off-screen
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
+            return;
+        }
+
+        ctx.save();
+        ctx.translate(screenX + this.width / 2, screenY + this.height / 2);
+        ctx.rotate(this.rotation);
+
+        // Glow
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 8;
+
+        ctx.fillStyle = this.color;
+        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(-this.width / 4, -this.height / 4, this.width / 2, this.height / 2);
+
+        ctx.restore();
+    }
+}
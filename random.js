@@ -0,0 +1,82 @@
+/**
+ * SeededRandom - reproducible pseudo-random numbers for procedural generation
+ */
+class SeededRandom {
+    /**
+     * @param {number|null} seed - 32-bit seed (a random seed is chosen if null)
+     */
+    constructor(seed = null) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed === null ? SeededRandom.generateSeed() : seed);
+    }
+
+    /**
+     * Pick a new random seed
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Derive an independent seed from a base seed, e.g. one per level from a run seed
+     * @param {number} seed - Base seed
+     * @param {number} salt - Value distinguishing the derived seed
+     * @returns {number} 32-bit unsigned seed
+     */
+    static deriveSeed(seed, salt) {
+        let hash = (seed ^ Math.imul(salt + 1, 0x9e3779b1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Set the seed and restart the sequence
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Restart the sequence from the current seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Generate the next number in the sequence (mulberry32)
+     * @returns {number} Number between 0 (inclusive) and 1 (exclusive)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Generate a random number between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random number
+     */
+    random(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Generate a random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    randomInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+}
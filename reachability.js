@@ -0,0 +1,266 @@
+/**
+ * ReachabilityValidator - checks that a level can be traversed from spawn to goal
+ * by simulating the player's jump arcs between platforms
+ */
+class ReachabilityValidator {
+    /**
+     * @param {Object} player - Player whose movement capabilities are used
+     */
+    constructor(player = new Player(0, 0)) {
+        // Movement capabilities (per 60 Hz frame, same units as Player)
+        this.speed = player.speed;
+        this.jumpPower = player.jumpPower;
+        this.gravity = player.gravity;
+        this.maxFallSpeed = player.maxFallSpeed;
+        this.maxRiseSpeed = player.jumpPower * 1.2;
+        this.canDoubleJump = true;
+
+        // Player dimensions
+        this.width = player.width;
+        this.height = player.height;
+
+        // Solver settings
+        this.safetyMargin = 0.85; // Fraction of the ideal horizontal reach relied upon
+        this.maxAirFrames = 240;
+        this.goalRadius = 50; // Must match Level.checkLevelCompletion
+        this.riseStep = 5; // Height resolution of cached reach results
+
+        // Cached reach results keyed by rise and launch parameters
+        this.reachCache = new Map();
+    }
+
+    /**
+     * Simulate a jump arc and find how far the player travels before landing
+     * @param {number} rise - Height of the landing surface above the take-off surface
+     * @param {number} launchSpeed - Initial upward speed
+     * @param {number} doubleJumpFrame - Frame to double jump on (0 for none)
+     * @returns {number} Horizontal distance covered on landing, or -1 if the height is never reached
+     */
+    simulateArc(rise, launchSpeed, doubleJumpFrame) {
+        let y = 0;
+        let velocityY = -launchSpeed;
+
+        for (let frame = 1; frame <= this.maxAirFrames; frame++) {
+            if (frame === doubleJumpFrame) {
+                velocityY = -this.jumpPower;
+            }
+
+            velocityY = clamp(velocityY + this.gravity, -this.maxRiseSpeed, this.maxFallSpeed);
+            const previousY = y;
+            y += velocityY;
+
+            // Landing happens when falling through the target surface
+            if (velocityY > 0 && previousY <= -rise && y >= -rise) {
+                return frame * this.speed;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get the maximum horizontal distance that can be jumped for a given rise
+     * @param {number} rise - Height of the landing surface above the take-off surface
+     * @param {number} launchSpeed - Initial upward speed
+     * @param {boolean} allowDoubleJump - Whether a double jump may be used
+     * @returns {number} Maximum horizontal reach, or -1 if unreachable
+     */
+    getMaxReach(rise, launchSpeed, allowDoubleJump) {
+        // Round the rise up so cached results never overestimate the reach
+        const quantizedRise = Math.ceil(rise / this.riseStep) * this.riseStep;
+        const key = `${quantizedRise}:${launchSpeed}:${allowDoubleJump}`;
+        if (this.reachCache.has(key)) {
+            return this.reachCache.get(key);
+        }
+
+        let best = this.simulateArc(quantizedRise, launchSpeed, 0);
+
+        if (allowDoubleJump) {
+            const lastFrame = Math.ceil(launchSpeed * 2 / this.gravity);
+            for (let frame = 2; frame <= lastFrame; frame++) {
+                best = Math.max(best, this.simulateArc(quantizedRise, launchSpeed, frame));
+            }
+        }
+
+        this.reachCache.set(key, best);
+        return best;
+    }
+
+    /**
+     * Get the highest point reachable above a surface
+     * @param {number} launchSpeed - Initial upward speed
+     * @param {boolean} allowDoubleJump - Whether a double jump may be used
+     * @returns {number} Maximum height gained
+     */
+    getMaxHeight(launchSpeed, allowDoubleJump) {
+        const apex = (speed) => (speed * speed) / (2 * this.gravity);
+        return apex(launchSpeed) + (allowDoubleJump ? apex(this.jumpPower) : 0);
+    }
+
+    /**
+     * Get the extent a platform can occupy, including its movement range
+     * @param {Platform} platform - Platform to measure
+     * @returns {Object} Extent with left, right, highest and lowest top surface
+     */
+    getExtent(platform) {
+        const extent = {
+            left: platform.originalX,
+            right: platform.originalX + platform.width,
+            highest: platform.originalY,
+            lowest: platform.originalY
+        };
+
+        if (platform.type === 'moving') {
+            if (platform.moveAxis === 'horizontal') {
+                extent.left -= platform.moveDistance;
+                extent.right += platform.moveDistance;
+            } else {
+                extent.highest -= platform.moveDistance;
+                extent.lowest += platform.moveDistance;
+            }
+        }
+
+        return extent;
+    }
+
+    /**
+     * Get take-off options from a platform
+     * @param {Platform} platform - Take-off platform
+     * @returns {Object} Launch speed and whether a double jump is available
+     */
+    getLaunch(platform) {
+        // Bouncy platforms launch the player without a ground jump, so no double jump either
+        if (platform.type === 'bouncy') {
+            return {
+                speed: Math.min(platform.bounceForce, this.maxRiseSpeed),
+                doubleJump: false
+            };
+        }
+
+        return { speed: this.jumpPower, doubleJump: this.canDoubleJump };
+    }
+
+    /**
+     * Check if the player can get from one platform onto another
+     * Moving platforms are assumed to be at their most favorable position.
+     * @param {Platform} from - Take-off platform
+     * @param {Platform} to - Landing platform
+     * @returns {boolean} True if the jump is possible
+     */
+    canReach(from, to) {
+        if (from === to) return true;
+
+        const source = this.getExtent(from);
+        const target = this.getExtent(to);
+        const launch = this.getLaunch(from);
+
+        const gap = Math.max(0, target.left - source.right, source.left - target.right);
+        const rise = source.highest - target.lowest;
+
+        // Platforms directly overhead have to be jumped around, unless they can be jumped up through
+        const required = gap > 0 ? gap : (rise > 0 && to.type !== 'oneWay' ? this.width : 0);
+        const reach = this.getMaxReach(rise, launch.speed, launch.doubleJump);
+
+        return reach >= 0 && required <= reach * this.safetyMargin;
+    }
+
+    /**
+     * Check if the goal can be touched from a platform
+     * @param {Platform} platform - Platform to jump from
+     * @param {number} goalX - Goal x position
+     * @param {number} goalY - Goal y position
+     * @returns {boolean} True if the goal is within reach
+     */
+    canReachGoal(platform, goalX, goalY) {
+        const extent = this.getExtent(platform);
+        const launch = this.getLaunch(platform);
+
+        const horizontalDistance = Math.max(0, extent.left - goalX, goalX - extent.right);
+        const standingCenterY = extent.highest - this.height / 2;
+        const highestCenterY = standingCenterY - this.getMaxHeight(launch.speed, launch.doubleJump);
+
+        return horizontalDistance <= this.goalRadius &&
+               goalY >= highestCenterY - this.goalRadius &&
+               goalY <= standingCenterY + this.goalRadius;
+    }
+
+    /**
+     * Find the platform the player spawns on
+     * @param {Array} platforms - Level platforms
+     * @param {number} x - Spawn x position
+     * @param {number} y - Spawn y position
+     * @returns {Platform|null} Platform below the spawn point
+     */
+    findSpawnPlatform(platforms, x, y) {
+        const feet = y + this.height;
+        let best = null;
+
+        for (const platform of platforms) {
+            const overlaps = x < platform.x + platform.width && x + this.width > platform.x;
+            if (overlaps && platform.y >= feet - 1 && (!best || platform.y < best.y)) {
+                best = platform;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Build the graph of which platforms can be jumped to from which
+     * @param {Array} platforms - Level platforms
+     * @returns {Map} Map of platform to reachable platforms
+     */
+    buildGraph(platforms) {
+        const graph = new Map();
+
+        for (const from of platforms) {
+            graph.set(from, platforms.filter(to => to !== from && this.canReach(from, to)));
+        }
+
+        return graph;
+    }
+
+    /**
+     * Validate that the goal of a level can be reached from the spawn point
+     * @param {Level} level - Level to validate
+     * @returns {Object} Result with traversable flag, reachable platforms and path to the goal
+     */
+    validate(level) {
+        const platforms = level.platforms;
+        const start = this.findSpawnPlatform(platforms, level.playerStartX, level.playerStartY);
+        const result = {
+            traversable: false,
+            reachable: new Set(),
+            path: []
+        };
+
+        if (!start) return result;
+
+        // Breadth-first search over the reachability graph
+        const graph = this.buildGraph(platforms);
+        const previous = new Map([[start, null]]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const platform = queue.shift();
+            result.reachable.add(platform);
+
+            if (this.canReachGoal(platform, level.goalX, level.goalY)) {
+                result.traversable = true;
+                for (let step = platform; step; step = previous.get(step)) {
+                    result.path.unshift(step);
+                }
+                break;
+            }
+
+            for (const next of graph.get(platform)) {
+                if (!previous.has(next)) {
+                    previous.set(next, platform);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Replay format version, bumped whenever the recorded data changes shape
+ */
+const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * ReplayRecorder - records the actions fed to the player each simulation step
+ * Inputs are stored run-length encoded as [bitmask, stepCount] pairs.
+ */
+class ReplayRecorder {
+    /**
+     * @param {Object} options - Level number, level seed, starting lives, unlocked abilities and recorded action names
+     */
+    constructor({ levelNumber, seed, lives, abilities = [], actions }) {
+        this.levelNumber = levelNumber;
+        this.seed = seed;
+        this.lives = lives;
+        this.abilities = [...abilities];
+        this.actions = [...actions];
+        this.inputs = [];
+        this.frameCount = 0;
+    }
+
+    /**
+     * Record the action states for one simulation step
+     * @param {Object} actionStates - Map of action name to pressed state
+     */
+    record(actionStates) {
+        let mask = 0;
+        this.actions.forEach((action, bit) => {
+            if (actionStates[action]) {
+                mask |= 1 << bit;
+            }
+        });
+
+        const lastRun = this.inputs[this.inputs.length - 1];
+        if (lastRun && lastRun[0] === mask) {
+            lastRun[1]++;
+        } else {
+            this.inputs.push([mask, 1]);
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Get the recording as replay data
+     * @returns {Object} Replay data
+     */
+    toJSON() {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            levelNumber: this.levelNumber,
+            seed: this.seed,
+            lives: this.lives,
+            abilities: [...this.abilities],
+            timeStep: FIXED_TIMESTEP,
+            frameCount: this.frameCount,
+            actions: [...this.actions],
+            inputs: this.inputs.map(run => [...run])
+        };
+    }
+}
+
+/**
+ * ReplayInputManager - stands in for InputManager and plays back a recorded replay
+ */
+class ReplayInputManager {
+    /**
+     * @param {Object|string} replay - Replay data or its JSON string
+     */
+    constructor(replay) {
+        const data = typeof replay === 'string' ? JSON.parse(replay) : replay;
+        if (data.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay format version: ${data.version}`);
+        }
+
+        this.replay = data;
+        this.actions = data.actions;
+        this.inputs = data.inputs;
+
+        // Playback position
+        this.runIndex = 0;
+        this.runFrame = 0;
+        this.frame = 0;
+
+        // Action states for the current step
+        this.keys = {};
+        this.previousKeys = {};
+    }
+
+    /**
+     * Advance playback by one simulation step
+     */
+    update() {
+        this.previousKeys = this.keys;
+        this.keys = {};
+
+        if (this.isFinished()) return;
+
+        const [mask, count] = this.inputs[this.runIndex];
+        this.actions.forEach((action, bit) => {
+            this.keys[action] = (mask & (1 << bit)) !== 0;
+        });
+
+        this.frame++;
+        this.runFrame++;
+        if (this.runFrame >= count) {
+            this.runIndex++;
+            this.runFrame = 0;
+        }
+    }
+
+    /**
+     * Check if all recorded steps have been played
+     * @returns {boolean} True if playback has finished
+     */
+    isFinished() {
+        return this.runIndex >= this.inputs.length;
+    }
+
+    /**
+     * Get playback progress
+     * @returns {number} Fraction of the replay played (0-1)
+     */
+    getProgress() {
+        return this.replay.frameCount > 0 ? this.frame / this.replay.frameCount : 1;
+    }
+
+    /**
+     * Check if an action is pressed in the current step
+     * @param {string} action - Action name
+     * @returns {boolean} True if pressed
+     */
+    isPressed(action) {
+        return !!this.keys[action];
+    }
+
+    /**
+     * Check if an action was pressed this step but not the previous one
+     * @param {string} action - Action name
+     * @returns {boolean} True if just pressed
+     */
+    isJustPressed(action) {
+        return !!this.keys[action] && !this.previousKeys[action];
+    }
+
+    /**
+     * Check if an action was released this step
+     * @param {string} action - Action name
+     * @returns {boolean} True if just released
+     */
+    isJustReleased(action) {
+        return !this.keys[action] && !!this.previousKeys[action];
+    }
+
+    /**
+     * Get input method being used
+     * @returns {string} Always 'replay'
+     */
+    getCurrentInputMethod() {
+        return 'replay';
+    }
+
+    /**
+     * Vibration is ignored during playback
+     */
+    vibrate() {}
+
+    /**
+     * Restart playback from the beginning
+     */
+    reset() {
+        this.runIndex = 0;
+        this.runFrame = 0;
+        this.frame = 0;
+        this.keys = {};
+        this.previousKeys = {};
+    }
+
+    /**
+     * Nothing to clean up (no event listeners are attached)
+     */
+    destroy() {}
+}
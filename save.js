@@ -0,0 +1,157 @@
+/**
+ * Save format version, bumped whenever the stored data changes shape
+ */
+const SAVE_FORMAT_VERSION = 1;
+
+/**
+ * SaveManager - stores game progress in localStorage save slots
+ */
+class SaveManager {
+    /**
+     * @param {string} storageKey - Prefix for localStorage keys
+     * @param {number} slotCount - Number of save slots
+     */
+    constructor(storageKey = 'nivoAdventure.save', slotCount = 3) {
+        this.storageKey = storageKey;
+        this.slotCount = slotCount;
+        this.available = this.checkAvailability();
+    }
+
+    /**
+     * Check if localStorage can be used (it may be disabled or full)
+     * @returns {boolean} True if saving is possible
+     */
+    checkAvailability() {
+        try {
+            const testKey = `${this.storageKey}.test`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            console.warn('Saving is not available:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the localStorage key for a slot
+     * @param {number} slot - Slot index
+     * @returns {string} Storage key
+     */
+    getSlotKey(slot) {
+        return `${this.storageKey}.${slot}`;
+    }
+
+    /**
+     * Check if a slot index is valid
+     * @param {number} slot - Slot index
+     * @returns {boolean} True if the slot exists
+     */
+    isValidSlot(slot) {
+        return Number.isInteger(slot) && slot >= 0 && slot < this.slotCount;
+    }
+
+    /**
+     * Save data to a slot
+     * @param {number} slot - Slot index
+     * @param {Object} data - Save data
+     * @returns {boolean} True if saved successfully
+     */
+    save(slot, data) {
+        if (!this.available || !this.isValidSlot(slot)) return false;
+
+        try {
+            const saveData = {
+                ...data,
+                version: SAVE_FORMAT_VERSION,
+                savedAt: Date.now()
+            };
+            localStorage.setItem(this.getSlotKey(slot), JSON.stringify(saveData));
+            return true;
+        } catch (error) {
+            console.error(`Failed to save slot ${slot + 1}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load data from a slot
+     * @param {number} slot - Slot index
+     * @returns {Object|null} Save data, or null if the slot is empty or unreadable
+     */
+    load(slot) {
+        if (!this.available || !this.isValidSlot(slot)) return null;
+
+        try {
+            const json = localStorage.getItem(this.getSlotKey(slot));
+            if (!json) return null;
+
+            const data = JSON.parse(json);
+            if (data.version !== SAVE_FORMAT_VERSION) {
+                console.warn(`Ignoring slot ${slot + 1}: unsupported save version ${data.version}`);
+                return null;
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`Failed to load slot ${slot + 1}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a slot
+     * @param {number} slot - Slot index
+     */
+    delete(slot) {
+        if (!this.available || !this.isValidSlot(slot)) return;
+
+        localStorage.removeItem(this.getSlotKey(slot));
+    }
+
+    /**
+     * Get the contents of every slot
+     * @returns {Array} Save data per slot (null for empty slots)
+     */
+    getSlots() {
+        const slots = [];
+        for (let slot = 0; slot < this.slotCount; slot++) {
+            slots.push(this.load(slot));
+        }
+        return slots;
+    }
+
+    /**
+     * Check if any slot holds a save
+     * @returns {boolean} True if there is something to load
+     */
+    hasSaves() {
+        return this.getSlots().some(data => data !== null);
+    }
+
+    /**
+     * Get the most recently saved slot
+     * @returns {number} Slot index, or -1 if all slots are empty
+     */
+    getMostRecentSlot() {
+        let recentSlot = -1;
+        let recentTime = -Infinity;
+
+        this.getSlots().forEach((data, slot) => {
+            if (data && data.savedAt > recentTime) {
+                recentSlot = slot;
+                recentTime = data.savedAt;
+            }
+        });
+
+        return recentSlot;
+    }
+
+    /**
+     * Find a slot a new game can use without overwriting a save
+     * @returns {number} Index of the first empty slot, or -1 if every slot holds a save
+     */
+    getEmptySlot() {
+        return this.getSlots().indexOf(null);
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Spawner class - emits enemies into the level on a timer or once the player enters its trigger region
+ * Spawners with waves run an encounter: each wave's enemies are emitted (no more than maxAlive at a
+ * time) and the next wave starts once they've all been defeated. Spawners with an arena shut the player
+ * in when they walk into it, and keep the level's goal locked until every wave is cleared.
+ */
+class Spawner {
+    /**
+     * @param {number} x - X position enemies are emitted at
+     * @param {number} y - Y position enemies are emitted at
+     * @param {Object} options - Spawner settings (see toJSON for the fields)
+     */
+    constructor(x, y, options = {}) {
+        // Position and dimensions (the footprint of an emitted enemy)
+        this.x = x;
+        this.y = y;
+        this.width = 28;
+        this.height = 32;
+
+        // Activation: 'timer' emits from the start of the level, 'trigger' once the player is nearby
+        this.activation = options.activation || 'trigger';
+        this.trigger = options.trigger ? { ...options.trigger } : { x: -200, y: -150, width: 400, height: 250 }; // Offsets from the position
+
+        // Emission
+        this.interval = options.interval !== undefined ? options.interval : 1500; // Milliseconds between enemies
+        this.maxAlive = options.maxAlive !== undefined ? options.maxAlive : 3;
+        this.enemyTypes = options.enemyTypes ? [...options.enemyTypes] : ['patrol']; // Emitted in turn when there are no waves
+
+        // Waves, each a list of enemy types; without waves the spawner keeps emitting
+        this.waves = (options.waves || []).map(wave => ({ enemies: [...wave.enemies] }));
+        this.waveDelay = options.waveDelay !== undefined ? options.waveDelay : 1500; // Milliseconds between waves
+
+        // Arena, as offsets from the position (wave spawners only, see getArenaBounds)
+        this.arena = options.arena && this.waves.length > 0 ? { ...options.arena } : null;
+
+        // State
+        this.isActive = false;
+        this.isCleared = false;
+        this.spawnTimer = 0;
+        this.spawnCount = 0;
+        this.waveIndex = 0;
+        this.waveSpawned = 0; // Enemies of the current wave emitted so far
+        this.waveTimer = 0;
+        this.alive = []; // Emitted enemies still alive
+        this.pendingEnemies = []; // Enemies waiting to be added by the level
+
+        // Animation
+        this.animationTime = 0;
+    }
+
+    /**
+     * Update activation, waves and emission
+     * @param {number} deltaTime - Time since last frame
+     * @param {Object} player - Player object for the trigger region
+     */
+    update(deltaTime, player) {
+        this.animationTime += deltaTime;
+        this.alive = this.alive.filter(enemy => enemy.isAlive);
+
+        if (this.isCleared) return;
+
+        if (!this.isActive) {
+            // Arena spawners are started by the level when the player walks into the arena
+            if (this.arena || !this.shouldActivate(player)) return;
+            this.activate();
+        }
+
+        if (this.spawnTimer > 0) {
+            this.spawnTimer -= deltaTime;
+        }
+
+        if (this.waves.length > 0) {
+            this.updateWaves(deltaTime);
+        } else if (this.canSpawn()) {
+            this.spawn(this.enemyTypes[this.spawnCount % this.enemyTypes.length]);
+        }
+    }
+
+    /**
+     * Emit the current wave, and move on to the next once it's defeated
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateWaves(deltaTime) {
+        if (this.waveTimer > 0) {
+            this.waveTimer -= deltaTime;
+            return;
+        }
+
+        const wave = this.waves[this.waveIndex];
+        if (this.waveSpawned < wave.enemies.length) {
+            if (this.canSpawn()) {
+                this.spawn(wave.enemies[this.waveSpawned]);
+                this.waveSpawned++;
+            }
+            return;
+        }
+
+        if (this.alive.length > 0) return;
+
+        this.waveIndex++;
+        this.waveSpawned = 0;
+
+        if (this.waveIndex >= this.waves.length) {
+            this.isCleared = true;
+            this.isActive = false;
+            audioManager.play('checkpoint');
+        } else {
+            this.waveTimer = this.waveDelay;
+        }
+    }
+
+    /**
+     * Check if the player has set off the spawner
+     * @param {Object} player - Player object
+     * @returns {boolean} True if the spawner should start
+     */
+    shouldActivate(player) {
+        if (this.activation === 'timer') return true;
+
+        return player !== null && !player.isDead() && checkCollision(player, this.getTriggerBounds());
+    }
+
+    /**
+     * Start emitting enemies
+     */
+    activate() {
+        this.isActive = true;
+        this.spawnTimer = 0;
+    }
+
+    /**
+     * Check if another enemy can be emitted now
+     * @returns {boolean} True if the interval has passed and the cap allows it
+     */
+    canSpawn() {
+        return this.spawnTimer <= 0 && this.alive.length < this.maxAlive;
+    }
+
+    /**
+     * Emit an enemy
+     * @param {string} type - Enemy type
+     */
+    spawn(type) {
+        const enemy = new Enemy(this.x, this.y, type);
+        enemy.spawner = this; // Emitted enemies aren't part of the level layout
+
+        this.alive.push(enemy);
+        this.pendingEnemies.push(enemy);
+        this.spawnCount++;
+        this.spawnTimer = this.interval;
+    }
+
+    /**
+     * Get the trigger region in world coordinates
+     * @returns {Object} Rectangle with x, y, width, height
+     */
+    getTriggerBounds() {
+        return {
+            x: this.x + this.trigger.x,
+            y: this.y + this.trigger.y,
+            width: this.trigger.width,
+            height: this.trigger.height
+        };
+    }
+
+    /**
+     * Get the arena walls in world coordinates
+     * @returns {Object} Object with left, right
+     */
+    getArenaBounds() {
+        return {
+            left: this.x + this.arena.left,
+            right: this.x + this.arena.right
+        };
+    }
+
+    /**
+     * Check if the encounter has been won
+     * @returns {boolean} True once every wave is cleared
+     */
+    isDefeated() {
+        return this.isCleared;
+    }
+
+    /**
+     * Get the wave being fought, counting from 1
+     * @returns {number} Wave number
+     */
+    getWaveNumber() {
+        return Math.min(this.waveIndex + 1, this.waves.length);
+    }
+
+    /**
+     * Render the spawner portal
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} camera - Camera object for offset calculation
+     */
+    render(ctx, camera) {
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y;
+
+        // Don't render if off-screen
+        if (screenX + this.width < 0 || screenX > ctx.canvas.width / camera.zoom ||
+            screenY + this.height < 0 || screenY > ctx.canvas.height / camera.zoom) {
+            return;
+        }
+
+        const centerX = screenX + this.width / 2;
+        const centerY = screenY + this.height / 2;
+        const pulse = 1 + Math.sin(this.animationTime / 200) * 0.1;
+
+        ctx.save();
+
+        // Portal (dim once its waves are cleared)
+        ctx.globalAlpha = this.isCleared ? 0.3 : (this.isActive ? 0.9 : 0.6);
+        ctx.fillStyle = '#220033';
+        ctx.strokeStyle = this.isActive ? '#ff44cc' : '#aa44ff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY, (this.width / 2) * pulse, (this.height / 2) * pulse, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Swirl
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.width / 4, this.animationTime / 150, this.animationTime / 150 + Math.PI);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Serialize the spawner for level data
+     * @returns {Object} Spawner data
+     */
+    toJSON() {
+        const data = {
+            x: this.x,
+            y: this.y,
+            activation: this.activation,
+            trigger: { ...this.trigger },
+            interval: this.interval,
+            maxAlive: this.maxAlive,
+            enemyTypes: [...this.enemyTypes],
+            waves: this.waves.map(wave => ({ enemies: [...wave.enemies] })),
+            waveDelay: this.waveDelay
+        };
+
+        if (this.arena) {
+            data.arena = { ...this.arena };
+        }
+
+        return data;
+    }
+
+    /**
+     * Create a spawner from level data
+     * @param {Object} data - Spawner data
+     * @returns {Spawner} New spawner
+     */
+    static fromJSON(data) {
+        return new Spawner(data.x, data.y, data);
+    }
+
+    /**
+     * Reset spawner to initial state
+     */
+    reset() {
+        this.isActive = false;
+        this.isCleared = false;
+        this.spawnTimer = 0;
+        this.spawnCount = 0;
+        this.waveIndex = 0;
+        this.waveSpawned = 0;
+        this.waveTimer = 0;
+        this.alive = [];
+        this.pendingEnemies = [];
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * StateMachine class - runs one state at a time for an owner object
+ *
+ * Machines are described by plain data:
+ *   {
+ *       initial: 'patrol',
+ *       states: { patrol: { enter(owner, context), update(owner, context), exit(owner, context) } },
+ *       transitions: { patrol: [{ to: 'chase', when: (owner, context) => boolean }] },
+ *       anyTransitions: [{ to: 'hurt', when: (owner, context) => boolean }]
+ *   }
+ * All state callbacks are optional. Transitions are checked in order before the state updates,
+ * with anyTransitions (checked from every other state) taking priority.
+ */
+class StateMachine {
+    /**
+     * @param {Object} owner - Object the states act on
+     * @param {Object} definition - Machine definition (see above)
+     */
+    constructor(owner, definition) {
+        this.owner = owner;
+        this.definition = definition;
+        this.stateName = null;
+        this.previousStateName = null;
+        this.stateTime = 0; // Milliseconds spent in the current state
+    }
+
+    /**
+     * Enter the initial state
+     * @param {Object} context - Data passed to the state callbacks
+     */
+    start(context = {}) {
+        this.stateName = null;
+        this.changeState(this.definition.initial, context);
+    }
+
+    /**
+     * Take the first transition whose condition holds, then update the current state
+     * @param {number} deltaTime - Time since last frame
+     * @param {Object} context - Data passed to conditions and state callbacks
+     */
+    update(deltaTime, context = {}) {
+        if (this.stateName === null) {
+            this.start(context);
+        }
+
+        this.stateTime += deltaTime;
+
+        const transition = this.findTransition(context);
+        if (transition) {
+            this.changeState(transition.to, context);
+        }
+
+        const state = this.getState(this.stateName);
+        if (state.update) {
+            state.update(this.owner, context);
+        }
+    }
+
+    /**
+     * Find the transition to take from the current state
+     * @param {Object} context - Data passed to the conditions
+     * @returns {Object|null} Transition, or null to stay in the current state
+     */
+    findTransition(context) {
+        const candidates = [
+            ...(this.definition.anyTransitions || []).filter(transition => transition.to !== this.stateName),
+            ...((this.definition.transitions || {})[this.stateName] || [])
+        ];
+
+        return candidates.find(transition => transition.when(this.owner, context)) || null;
+    }
+
+    /**
+     * Leave the current state and enter another
+     * @param {string} name - State to enter
+     * @param {Object} context - Data passed to the exit and enter callbacks
+     */
+    changeState(name, context = {}) {
+        const next = this.getState(name);
+
+        if (this.stateName !== null) {
+            const current = this.getState(this.stateName);
+            if (current.exit) {
+                current.exit(this.owner, context);
+            }
+        }
+
+        this.previousStateName = this.stateName;
+        this.stateName = name;
+        this.stateTime = 0;
+
+        if (next.enter) {
+            next.enter(this.owner, context);
+        }
+    }
+
+    /**
+     * Look up a state by name
+     * @param {string} name - State name
+     * @returns {Object} State callbacks
+     */
+    getState(name) {
+        const state = this.definition.states[name];
+        if (!state) {
+            throw new Error(`Unknown state: ${name}`);
+        }
+
+        return state;
+    }
+
+    /**
+     * Check if the machine is in a state
+     * @param {string} name - State name
+     * @returns {boolean} True if it's the current state
+     */
+    is(name) {
+        return this.stateName === name;
+    }
+
+    /**
+     * Forget the current state; the initial state is entered on the next update
+     */
+    reset() {
+        this.stateName = null;
+        this.previousStateName = null;
+        this.stateTime = 0;
+    }
+}
@@ -2,6 +2,21 @@
  * Utility functions for the game
  */
 
+/**
+ * Duration of one simulation step in milliseconds (60 Hz)
+ */
+const FIXED_TIMESTEP = 1000 / 60;
+
+/**
+ * Convert elapsed time into simulation frames.
+ * Physics values are tuned per 1/60 s frame and scaled by this factor.
+ * @param {number} deltaTime - Elapsed time in milliseconds
+ * @returns {number} Number of 60 Hz frames elapsed
+ */
+function frameScale(deltaTime) {
+    return deltaTime / FIXED_TIMESTEP;
+}
+
 /**
  * Check collision between two rectangles
  * @param {Object} rect1 - First rectangle with x, y, width, height
@@ -117,6 +132,44 @@ function pointInRect(x, y, rect) {
            y >= rect.y && y <= rect.y + rect.height;
 }
 
+/**
+ * Check if a line segment crosses a rectangle
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @param {Object} rect - Rectangle with x, y, width, height
+ * @returns {boolean} True if any part of the segment is inside the rectangle
+ */
+function segmentIntersectsRect(x1, y1, x2, y2, rect) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    let tMin = 0;
+    let tMax = 1;
+    
+    // Clip the segment against each edge of the rectangle (Liang-Barsky)
+    const edges = [
+        [-dx, x1 - rect.x],
+        [dx, rect.x + rect.width - x1],
+        [-dy, y1 - rect.y],
+        [dy, rect.y + rect.height - y1]
+    ];
+    
+    for (const [p, q] of edges) {
+        if (p === 0) {
+            if (q < 0) return false; // Parallel to this edge and outside it
+        } else if (p < 0) {
+            tMin = Math.max(tMin, q / p);
+        } else {
+            tMax = Math.min(tMax, q / p);
+        }
+        
+        if (tMin > tMax) return false;
+    }
+    
+    return true;
+}
+
 /**
  * Convert degrees to radians
  * @param {number} degrees - Angle in degrees